@@ -0,0 +1,123 @@
+'use strict';
+
+const utils = require('./utils');
+
+// Properties of package.json linking a package to the local packages it depends on
+const DEPENDENCY_KEYS = ['dependencies', 'devDependencies'];
+// Versions pointing to a folder instead of a registry version
+const LOCAL_PROTOCOLS = ['file:', 'link:'];
+
+module.exports = {
+  getOwner,
+  getLocalDependencies,
+  getAffectedPackages,
+};
+
+/**
+ * @method readManifest(pkg)
+ * @desc reads the package.json of a package, an empty one if it cannot be parsed
+ * @param {Object} pkg
+ * @return {Object}
+ */
+function readManifest(pkg) {
+  try {
+    return JSON.parse(utils.read(utils.resolve(pkg.absolute, 'package.json')).toString());
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * @method readManifests(packages)
+ * @desc reads the package.json of every package
+ * @param {Array<Object>} packages
+ * @return {Object} manifests, keyed by relative path of the package
+ */
+function readManifests(packages) {
+  return packages.reduce((manifests, pkg) => Object.assign(manifests, {[pkg.relative]: readManifest(pkg)}), {});
+}
+
+/**
+ * @method contains(pkg, file)
+ * @desc checks if a file is in the folder of a package, nested packages included
+ * @param {Object} pkg
+ * @param {String} file (relative path from rootDir)
+ * @return {Boolean}
+ */
+function contains(pkg, file) {
+  const relative = utils.relative(pkg.relative, file);
+  return Boolean(relative) && !/^\.\.([\\/]|$)/.test(relative);
+}
+
+/**
+ * @method getOwner(file, packages)
+ * @desc gets the package owning a file, which is the package of the nearest folder
+ * @param {String} file (relative path from rootDir)
+ * @param {Array<Object>} packages
+ * @return {Object|null} pkg
+ */
+function getOwner(file, packages) {
+  return packages
+    .filter(pkg => contains(pkg, file))
+    .reduce((owner, pkg) => (!owner || pkg.absolute.length > owner.absolute.length) ? pkg : owner, null);
+}
+
+/**
+ * @method getLocalDependencies(pkg, packages, manifests)
+ * @desc gets the packages of the repository a package depends on, by name or with a file: or link: version
+ * @param {Object} pkg
+ * @param {Array<Object>} packages
+ * @param {Object} manifests (optional, the package.json of the packages, keyed by relative path)
+ * @return {Array<Object>} packages
+ */
+function getLocalDependencies(pkg, packages, manifests) {
+  manifests = manifests || readManifests(packages.concat(pkg));
+  const manifest = manifests[pkg.relative];
+  const dependencies = DEPENDENCY_KEYS.reduce((all, key) => Object.assign(all, manifest[key]), {});
+  return packages.filter(other => other !== pkg && Object.keys(dependencies).some(name => {
+    const version = String(dependencies[name]);
+    const protocol = LOCAL_PROTOCOLS.filter(p => version.indexOf(p) === 0)[0];
+    if (protocol) {
+      return utils.resolve(pkg.absolute, version.substr(protocol.length)) === utils.resolve(other.absolute);
+    }
+    return manifests[other.relative].name === name;
+  }));
+}
+
+/**
+ * @method getAffectedPackages(files, packages)
+ * @desc finds the packages owning the changed files, and the packages depending on them directly or not
+ * @param {Array<String>} files (relative paths from rootDir)
+ * @param {Array<Object>} packages (every package of the repository)
+ * @return {Object} affected
+ *** @prop {Object} affected.files (the changed files, keyed by the relative path of the package owning them)
+ *** @prop {Object} affected.dependents (the names of the affected packages a package depends on, keyed by its
+ relative path)
+ */
+function getAffectedPackages(files, packages) {
+  const owned = files.reduce((result, file) => {
+    const owner = getOwner(file, packages);
+    if (owner) result[owner.relative] = (result[owner.relative] || []).concat(file);
+    return result;
+  }, {});
+  const manifests = readManifests(packages);
+  const graph = packages.map(pkg => ({pkg, dependencies: getLocalDependencies(pkg, packages, manifests)}));
+  const dependents = {};
+  let affected = packages.filter(pkg => owned[pkg.relative]);
+  const visited = affected.slice();
+  // Walks the graph from the changed packages to their dependents, level by level
+  while (affected.length) {
+    const next = [];
+    graph.forEach(node => {
+      const causes = node.dependencies.filter(dependency => affected.indexOf(dependency) >= 0);
+      if (!causes.length) return;
+      dependents[node.pkg.relative] = (dependents[node.pkg.relative] || []).concat(causes.map(cause => cause.name));
+      if (visited.indexOf(node.pkg) < 0) {
+        visited.push(node.pkg);
+        next.push(node.pkg);
+      }
+    });
+    affected = next;
+  }
+  return {files: owned, dependents};
+}
@@ -0,0 +1,103 @@
+'use strict';
+
+const crypto = require('crypto');
+const git = require('./git');
+const utils = require('./utils');
+
+// File of the git directory the keys of the successful task runs are stored in
+const CACHE_FILE = 'npm-git-hooks-cache.json';
+// Number of keys kept in the cache, the oldest ones being dropped
+const MAX_ENTRIES = 500;
+
+module.exports = {
+  CACHE_FILE,
+  MAX_ENTRIES,
+  getCachePath,
+  isEnabled,
+  hashFile,
+  getKey,
+  isCached,
+  save,
+};
+
+/**
+ * @method getCachePath()
+ * @desc gets the path of the cache file, in the git directory
+ * @return {String}
+ */
+function getCachePath() {
+  return utils.resolve(git.getGitDir(), CACHE_FILE);
+}
+
+/**
+ * @method isEnabled()
+ * @desc checks that the cache is not disabled by setting NPM_GIT_HOOKS_CACHE to false
+ * @return {Boolean}
+ */
+function isEnabled() {
+  return process.env.NPM_GIT_HOOKS_CACHE !== 'false';
+}
+
+/**
+ * @method hashFile(file)
+ * @desc hashes the content of a file
+ * @param {String} file (absolute path)
+ * @return {String}
+ */
+function hashFile(file) {
+  return crypto.createHash('sha1').update(utils.read(file)).digest('hex');
+}
+
+/**
+ * @method getKey(inputs)
+ * @desc hashes the inputs of a task into its cache key
+ * @param {Object} inputs (anything the outcome of the task depends on)
+ * @return {String}
+ */
+function getKey(inputs) {
+  return crypto.createHash('sha1').update(JSON.stringify(inputs)).digest('hex');
+}
+
+/**
+ * @method read()
+ * @desc reads the cache, an empty one if it does not exist or cannot be parsed
+ * @return {Object} entries, keyed by cache key
+ */
+function read() {
+  try {
+    return JSON.parse(utils.read(getCachePath()).toString());
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * @method isCached(key)
+ * @desc checks if a task already succeeded with the same inputs
+ * @param {String} key
+ * @return {Boolean}
+ */
+function isCached(key) {
+  return Boolean(read()[key]);
+}
+
+/**
+ * @method save(key, info)
+ * @desc stores the key of a successful task run
+         > saving never fails the hook, the task only runs again next time
+ * @param {String} key
+ * @param {Object} info (the project and task names, stored for debugging purposes)
+ */
+function save(key, info) {
+  try {
+    const entries = read();
+    entries[key] = Object.assign({date: new Date().toISOString()}, info);
+    const keys = Object.keys(entries)
+      .sort((a, b) => entries[a].date.localeCompare(entries[b].date))
+      .slice(-MAX_ENTRIES);
+    const kept = keys.reduce((cache, k) => Object.assign(cache, {[k]: entries[k]}), {});
+    utils.writeToFile(getCachePath(), `${JSON.stringify(kept, null, 2)}\n`);
+  } catch (e) {
+    // The task is run again next time
+  }
+}
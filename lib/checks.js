@@ -0,0 +1,256 @@
+'use strict';
+
+const fs = require('fs');
+const git = require('./git');
+const utils = require('./utils');
+
+// Default size limit of the large-files check, in bytes
+const MAX_FILE_SIZE = 1024 * 1024;
+// Files bigger than this number of bytes are not searched for conflict markers, secrets or focused tests
+const MAX_SEARCHED_SIZE = 10 * 1024 * 1024;
+// Number of files read at once, so that the content of a big commit is not loaded at the same time
+const READ_BATCH = 100;
+// Files the focused-tests check looks into by default
+const TEST_PATTERNS = ['**/*.test.*', '**/*.spec.*', '**/test/**', '**/tests/**', '**/__tests__/**'];
+// Lockfiles expected to change along with a package.json
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+// Properties of package.json that the lockfile depends on
+const DEPENDENCY_KEYS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies', 'bundledDependencies'];
+// Private keys and the tokens of the most common services
+const SECRET_PATTERNS = [
+  {name: 'private key', pattern: /-----BEGIN ([A-Z]+ )?PRIVATE KEY( BLOCK)?-----/},
+  {name: 'AWS access key', pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/},
+  {name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/},
+  {name: 'GitLab token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}\b/},
+  {name: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/},
+  {name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/},
+  {name: 'Stripe secret key', pattern: /\b[rs]k_live_[0-9A-Za-z]{24,}\b/},
+  {name: 'npm token', pattern: /\bnpm_[A-Za-z0-9]{36}\b/},
+];
+
+// Built-in checks, called with the context of a plugin task and returning the problems found
+const CHECKS = {
+  'large-files': checkLargeFiles,
+  'conflict-markers': checkConflictMarkers,
+  secrets: checkSecrets,
+  'focused-tests': checkFocusedTests,
+  lockfile: checkLockfile,
+};
+
+module.exports = {
+  CHECKS,
+  isCheck,
+  getCheck,
+};
+
+/**
+ * @method isCheck(name)
+ * @desc checks if a built-in check exists
+ * @param {String} name
+ * @return {Boolean}
+ */
+function isCheck(name) {
+  return Object.prototype.hasOwnProperty.call(CHECKS, name);
+}
+
+/**
+ * @method getCheck(name)
+ * @desc gets a built-in check as a plugin function, which throws an error listing the problems found
+ * @param {String} name
+ * @return {Function} check(context)
+ */
+function getCheck(name) {
+  return context => {
+    const problems = CHECKS[name](context, context.options || {});
+    if (problems.length) {
+      throw new Error(`${problems.length} problem(s) found\n` +
+        problems.map(p => `  ${p.file}${p.line ? `:${p.line}` : ''} ${p.message}`).join('\n'));
+    }
+    return `No problem found in ${(context.files || []).length} file(s)`;
+  };
+}
+
+/**
+ * @method problem(file, line, message)
+ * @desc builds a problem object
+ * @param {String} file (relative path from rootDir)
+ * @param {Number|null} line
+ * @param {String} message
+ * @return {Object}
+ */
+function problem(file, line, message) {
+  return {file, line, message};
+}
+
+/**
+ * @method getSizes(context, files)
+ * @desc gets the size of the files checked, the staged content in pre-commit and the working tree one otherwise
+ * @param {Object} context
+ * @param {Array<String>} files (relative paths from rootDir)
+ * @return {Object} sizes in bytes keyed by file, null for deleted files
+ */
+function getSizes(context, files) {
+  if (context.operation === 'pre-commit') {
+    return git.getFileSizes(files);
+  }
+  return files.reduce((sizes, file) => {
+    const absolute = utils.resolve(context.rootDir, file);
+    return Object.assign(sizes, {[file]: (utils.isAFile(absolute)) ? fs.statSync(absolute).size : null});
+  }, {});
+}
+
+/**
+ * @method readFiles(context, files)
+ * @desc reads the content checked for files, the staged content in pre-commit and the working tree one otherwise
+ * @param {Object} context
+ * @param {Array<String>} files (relative paths from rootDir)
+ * @return {Object} contents keyed by file, null for deleted, binary and too big files
+ */
+function readFiles(context, files) {
+  let contents;
+  if (context.operation === 'pre-commit') {
+    contents = git.getFileContents(files, '', MAX_SEARCHED_SIZE);
+  } else {
+    const sizes = getSizes(context, files);
+    contents = files.reduce((result, file) => Object.assign(result, {
+      [file]: (sizes[file] !== null && sizes[file] <= MAX_SEARCHED_SIZE)
+        ? utils.read(utils.resolve(context.rootDir, file)).toString()
+        : null,
+    }), {});
+  }
+  return files.reduce((result, file) => {
+    const content = contents[file];
+    return Object.assign(result, {[file]: (content === null || content.substr(0, 8000).indexOf('\0') >= 0) ? null : content});
+  }, {});
+}
+
+/**
+ * @method findLines(context, files, test)
+ * @desc finds the lines of the files matching a test
+ * @param {Object} context
+ * @param {Array<String>} files
+ * @param {Function} test (returns the problem message for a line, or nothing)
+ * @return {Array<Object>} problems
+ */
+function findLines(context, files, test) {
+  let contents = {};
+  return files.reduce((problems, file, index) => {
+    if (index % READ_BATCH === 0) contents = readFiles(context, files.slice(index, index + READ_BATCH));
+    const content = contents[file];
+    if (content === null) return problems;
+    return problems.concat(content.split('\n').reduce((found, line, index) => {
+      const message = test(line);
+      return (message) ? found.concat(problem(file, index + 1, message)) : found;
+    }, []));
+  }, []);
+}
+
+/**
+ * @method checkLargeFiles(context, options)
+ * @desc finds the files bigger than options.maxSize bytes
+ * @param {Object} context
+ * @param {Object} options
+ *  @prop {Number} options.maxSize (1 MB by default)
+ * @return {Array<Object>} problems
+ */
+function checkLargeFiles(context, options) {
+  const maxSize = options.maxSize || MAX_FILE_SIZE;
+  const files = context.files || [];
+  const sizes = getSizes(context, files);
+  return files.reduce((problems, file) => {
+    const size = sizes[file] || 0;
+    return (size > maxSize) ? problems.concat(problem(file, null, `is ${size} bytes, more than ${maxSize}`)) : problems;
+  }, []);
+}
+
+/**
+ * @method checkConflictMarkers(context)
+ * @desc finds the merge conflict markers left in the files
+ * @param {Object} context
+ * @return {Array<Object>} problems
+ */
+function checkConflictMarkers(context) {
+  return findLines(context, context.files || [], line => {
+    if (/^(<{7}|>{7})( |$)/.test(line.replace(/\r$/, ''))) return 'merge conflict marker';
+  });
+}
+
+/**
+ * @method checkSecrets(context, options)
+ * @desc finds the private keys and tokens in the files
+ * @param {Object} context
+ * @param {Object} options
+ *  @prop {Array<String>} options.patterns (additional regular expressions)
+ * @return {Array<Object>} problems
+ */
+function checkSecrets(context, options) {
+  const secrets = SECRET_PATTERNS.concat((options.patterns || []).map(pattern => ({name: 'secret', pattern: new RegExp(pattern)})));
+  return findLines(context, context.files || [], line => {
+    const secret = secrets.filter(s => s.pattern.test(line))[0];
+    if (secret) return `possible ${secret.name}`;
+  });
+}
+
+/**
+ * @method checkFocusedTests(context, options)
+ * @desc finds the focused tests (.only, fit, fdescribe) and debugger statements in the test files
+ * @param {Object} context
+ * @param {Object} options
+ *  @prop {Array<String>} options.patterns (glob patterns of the test files, relative to the repository root)
+ * @return {Array<Object>} problems
+ */
+function checkFocusedTests(context, options) {
+  const patterns = options.patterns || TEST_PATTERNS;
+  const files = (context.files || []).filter(file => patterns.some(pattern => utils.globMatch(file, pattern)));
+  return findLines(context, files, line => {
+    if (/\b(describe|context|suite|it|test|specify)\.only\s*\(/.test(line) || /\b(fdescribe|fit)\s*\(/.test(line)) return 'focused test';
+    if (/\bdebugger\b/.test(line)) return 'debugger statement';
+  });
+}
+
+/**
+ * @method getDependencies(content)
+ * @desc extracts the dependencies of a package.json, to compare them between two versions
+ * @param {String|null} content
+ * @return {String|null}
+ */
+function getDependencies(content) {
+  try {
+    const pkg = JSON.parse(content);
+    return JSON.stringify(DEPENDENCY_KEYS.map(key => pkg[key] || null));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @method checkLockfile(context)
+ * @desc finds the package.json files of the package changed without the lockfile of their folder
+         > in pre-commit, every staged file is considered so that the restrictions do not hide the lockfile, and a
+         package.json only counts as changed if its dependencies changed
+ * @param {Object} context
+ * @return {Array<Object>} problems
+ */
+function checkLockfile(context) {
+  let files = context.files || [];
+  if (context.operation === 'pre-commit') {
+    try {
+      files = git.getStagedFiles()
+        .filter(file => utils.relative(context.package.path, file).indexOf('..') !== 0);
+    } catch (e) {
+      files = [];
+    }
+  }
+  return files.filter(file => utils.basename(file) === 'package.json').reduce((problems, file) => {
+    if (context.operation === 'pre-commit' &&
+        getDependencies(git.getFileContent(file)) === getDependencies(git.getFileContent(file, 'HEAD'))) {
+      return problems;
+    }
+    const dir = utils.dirname(file);
+    const lockfiles = LOCKFILES.filter(lockfile => utils.isAFile(utils.resolve(context.rootDir, dir, lockfile)));
+    const changed = lockfiles.some(lockfile => files.indexOf(utils.join(dir, lockfile)) >= 0);
+    return (lockfiles.length && !changed)
+      ? problems.concat(problem(file, null, `dependencies changed without ${lockfiles.join(', ')}`))
+      : problems;
+  }, []);
+}
@@ -0,0 +1,227 @@
+'use strict';
+
+const SCISSORS = /^# -+ >8 -+$/;
+const HEADER = /^(\w+)(?:\(([^)]*)\))?(!)?: (.*)$/;
+const TRAILER = /^[\w-]+: /;
+
+module.exports = {
+  strip,
+  parse,
+  getRules,
+  rewrite,
+  addTicket,
+  validate,
+};
+
+/**
+ * @method strip(message)
+ * @desc removes the comment lines and the scissors section added by git to a commit message
+ * @param {String} message
+ * @return {String}
+ */
+function strip(message) {
+  const lines = message.replace(/\r\n/g, '\n').split('\n');
+  const scissors = lines.findIndex(line => SCISSORS.test(line));
+  return lines
+    .slice(0, (scissors >= 0) ? scissors : lines.length)
+    .filter(line => line[0] !== '#')
+    .join('\n')
+    .replace(/\s+$/, '')
+    .replace(/^\s*\n/, '');
+}
+
+/**
+ * @method parse(message)
+ * @desc splits a stripped commit message into its parts
+ * @param {String} message
+ * @return {Object} commit
+ *** @prop {String} commit.header (first line of the message)
+ *** @prop {String|null} commit.type (conventional commit type, null if the header does not follow the convention)
+ *** @prop {String|null} commit.scope
+ *** @prop {String} commit.subject
+ *** @prop {Boolean} commit.breaking
+ *** @prop {Array<String>} commit.lines (the lines following the header)
+ */
+function parse(message) {
+  const lines = message.split('\n');
+  const header = lines[0] || '';
+  const match = HEADER.exec(header);
+  return {
+    header,
+    type: match ? match[1] : null,
+    scope: match ? (match[2] || null) : null,
+    subject: match ? match[4] : header,
+    breaking: Boolean(match && match[3]),
+    lines: lines.slice(1),
+  };
+}
+
+/**
+ * @method getRules(config)
+ * @desc builds the rules object from the commit-msg property of the package config
+         > a string is the legacy form and is used as the pattern rule
+ * @param {String|Object} config
+ * @return {Object} rules
+ */
+function getRules(config) {
+  return (typeof config === 'string') ? {pattern: config} : Object.assign({}, config);
+}
+
+/**
+ * @method validate(message, config)
+ * @desc checks a commit message against every rule enabled in config
+ * @param {String} message (the raw commit message)
+ * @param {String|Object} config (the commit-msg property of the package config)
+ * @return {Array<Object>} failures
+ *** @prop {String} failure.rule (name of the rule)
+ *** @prop {String} failure.message (description of the problem)
+ */
+function validate(message, config) {
+  const options = getRules(config);
+  const commit = parse(strip(message));
+  const checks = rules();
+  return Object.keys(options)
+    .filter(name => checks[name] && options[name] !== false && options[name] !== null)
+    .map(name => ({rule: name, message: checks[name](commit, options[name], options)}))
+    .filter(failure => Boolean(failure.message));
+}
+
+/**
+ * @method rewrite(message, config, values)
+ * @desc normalizes a commit message and appends the missing trailers, leaving the comments added by git untouched
+ * @param {String} message (the raw commit message)
+ * @param {String|Object} config (the commit-msg property of the package config)
+ *  @prop {Boolean} config.normalize (removes trailing spaces and repeated blank lines)
+ *  @prop {Array<String>} config.trailers (lines appended to the message, {user}, {email} and {branch} are replaced)
+ * @param {Object} values (the values of the trailers placeholders)
+ * @return {String} message
+ */
+function rewrite(message, config, values) {
+  const options = getRules(config);
+  if (!options.normalize && !(options.trailers && options.trailers.length)) return message;
+  const parts = split(message);
+  let content = parts.content;
+
+  if (options.normalize) {
+    content = content
+      .map(line => line.replace(/\s+$/, ''))
+      .filter((line, i, list) => line || i === 0 || list[i - 1]);
+  }
+  const trailers = (options.trailers || [])
+    .map(trailer => fill(trailer, values))
+    .filter(trailer => content.indexOf(trailer) < 0);
+  if (trailers.length && content.length) {
+    const last = content[content.length - 1];
+    content = content.concat(TRAILER.test(last) && content.length > 1 ? [] : [''], trailers);
+  }
+
+  return join(content, parts.comments);
+}
+
+/**
+ * @method addTicket(message, options, branch)
+ * @desc adds the ticket ID found in the branch name to a commit message, unless the message already contains it
+ * @param {String} message (the raw commit message)
+ * @param {Object} options
+ *  @prop {String} options.branch (pattern extracting the ticket ID from the branch name, using its first group if any)
+ *  @prop {String} options.template (the new message, {ticket} and {message} are replaced)
+ * @param {String} branch
+ * @return {String} message
+ */
+function addTicket(message, options, branch) {
+  const match = new RegExp(options.branch).exec(branch);
+  if (!match) return message;
+  const ticket = match[1] || match[0];
+  const parts = split(message);
+  const content = parts.content.join('\n');
+  if (content.indexOf(ticket) >= 0) return message;
+  const template = options.template || '{ticket} {message}';
+  return join(fill(template, {ticket, message: content}).split('\n'), parts.comments);
+}
+
+/**
+ * @method split(message)
+ * @desc separates the content of a commit message from the comments and scissors section added by git at its end
+ * @param {String} message
+ * @return {Object} parts
+ *** @prop {Array<String>} parts.content (lines of the message)
+ *** @prop {Array<String>} parts.comments (lines of the comments)
+ */
+function split(message) {
+  const lines = message.replace(/\r\n/g, '\n').split('\n');
+  const scissors = lines.findIndex(line => SCISSORS.test(line));
+  let end = (scissors >= 0) ? scissors : lines.length;
+  while (end > 0 && (lines[end - 1][0] === '#' || !lines[end - 1].trim())) end--;
+  const comments = lines.slice(end);
+  while (comments.length && !comments[0].trim()) comments.shift();
+  while (comments.length && !comments[comments.length - 1].trim()) comments.pop();
+  return {content: lines.slice(0, end), comments};
+}
+
+/**
+ * @method join(content, comments)
+ * @desc builds a commit message from its content and comments lines
+ * @param {Array<String>} content
+ * @param {Array<String>} comments
+ * @return {String} message
+ */
+function join(content, comments) {
+  return content.concat(comments.length ? [''].concat(comments) : []).join('\n') + '\n';
+}
+
+/**
+ * @method fill(template, values)
+ * @desc replaces the {key} placeholders of a template, unknown placeholders are left as is
+ * @param {String} template
+ * @param {Object} values
+ * @return {String}
+ */
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values) ? values[key] : match);
+}
+
+/**
+ * @method rules()
+ * @desc lists the available rules, each rule returns a message describing the problem or nothing if the commit is valid
+ * @return {Object}
+ */
+function rules() {
+  return {
+    'pattern': (commit, pattern) => {
+      const message = [commit.header].concat(commit.lines).join('\n');
+      if (!new RegExp(pattern).test(message)) return `message does not match ${pattern}`;
+    },
+    'conventional': commit => {
+      if (!commit.type) return `header "${commit.header}" does not follow "<type>(<scope>): <subject>"`;
+    },
+    'type-enum': (commit, types) => {
+      if (commit.type && types.indexOf(commit.type) < 0) return `type "${commit.type}" is not one of ${types.join(', ')}`;
+    },
+    'scope-enum': (commit, scopes) => {
+      if (commit.scope && scopes.indexOf(commit.scope) < 0) return `scope "${commit.scope}" is not one of ${scopes.join(', ')}`;
+    },
+    'scope-required': commit => {
+      if (!commit.scope) return 'scope is missing';
+    },
+    'header-max-length': (commit, max) => {
+      if (commit.header.length > max) return `header is ${commit.header.length} characters long, maximum is ${max}`;
+    },
+    'subject-max-length': (commit, max) => {
+      if (commit.subject.length > max) return `subject is ${commit.subject.length} characters long, maximum is ${max}`;
+    },
+    'subject-no-trailing-period': commit => {
+      if (/\.$/.test(commit.subject)) return 'subject must not end with a period';
+    },
+    'body-leading-blank': commit => {
+      if (commit.lines.length && commit.lines[0].trim()) return 'body must be separated from the header by a blank line';
+    },
+    'body-max-line-length': (commit, max) => {
+      const index = commit.lines.findIndex(line => line.length > max);
+      if (index >= 0) return `line ${index + 2} is ${commit.lines[index].length} characters long, maximum is ${max}`;
+    },
+    'footer-required': (commit, tokens) => {
+      const missing = [].concat(tokens).filter(token => !commit.lines.some(line => new RegExp(token).test(line)));
+      if (missing.length) return `footer must reference ${missing.join(', ')}`;
+    },
+  };
+}
@@ -2,19 +2,47 @@
 
 const shell = require('shelljs');
 const fs = require('fs');
+const childProcess = require('child_process');
 const utils = require('./utils');
 const handlers = require('./handlers');
 const colors = require('colors');
 
+// Hash of the empty tree, every file of a commit being changed compared to it
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+// Files of the git directory holding a merge in progress, which git stash removes
+const MERGE_FILES = ['MERGE_HEAD', 'MERGE_MODE', 'MERGE_MSG'];
+
 module.exports = {
+  setWorkingDir,
   getRootDir,
+  getGitDir,
+  getCommonDir,
   getHooksDir,
-  checkUpstream,
-  getCommitedFiles,
+  parsePushRefs,
+  getPushedRefs,
+  getPushedFiles,
+  getPushedCommits,
   getStagedFiles,
+  getCheckoutFiles,
+  getMergeFiles,
+  listFiles,
+  getFileSizes,
+  getFileContents,
+  getFileContent,
+  getModifiedFiles,
+  addFiles,
+  discardChanges,
+  getUnstagedPatch,
+  hasHead,
+  stashUnstaged,
+  restoreStash,
+  getMergeState,
+  restoreMergeState,
   getBranch,
   getUsername,
+  getUserEmail,
   getCommitMessage,
+  writeCommitMessage,
 };
 
 /**
@@ -27,6 +55,18 @@ function isTruthy(item) {
   return Boolean(item);
 }
 
+// Directory the git repository is looked up from, the folder of the installed module unless set
+let workingDir = null;
+
+/**
+ * @method setWorkingDir(dir)
+ * @desc sets the directory the git repository is looked up from, to run the hooks of another repository
+ * @param {String} dir (null to look it up from the installed module again)
+ */
+function setWorkingDir(dir) {
+  workingDir = (dir) ? utils.resolve(dir) : null;
+}
+
 /**
  * @method getRootDir()
  * @desc gets the git root directory path (where git init was run)
@@ -35,18 +75,40 @@ function isTruthy(item) {
  * @throws {Error} if no git root repository is found
  */
 function getRootDir(dir) {
-  dir = dir || __dirname;
+  dir = dir || workingDir || __dirname;
   try {
     const rootDir = utils.read(dir).filter(f => f === '.git')[0];
     return (rootDir) ? dir : getRootDir(utils.dirname(dir));
   } catch (e) {
-    throw new Error(`${colors.inverse('npm-git-hooks')} ${colors.red.inverse('FAILED')} Could not find git repository from ${process.cwd()}`);
+    throw new Error(`${colors.inverse('npm-git-hooks')} ${colors.red.inverse('FAILED')} Could not find git repository from ${workingDir || process.cwd()}`);
   }
 }
 
+/**
+ * @method getGitDir()
+ * @desc gets the absolute path of the git directory, which is not the .git folder of rootDir in worktrees
+ * @return {String}
+ */
+function getGitDir() {
+  const rootDir = getRootDir();
+  const gitDir = shell.exec('git rev-parse --git-dir', {silent: true, cwd: rootDir}).trim();
+  return utils.resolve(rootDir, gitDir || '.git');
+}
+
+/**
+ * @method getCommonDir()
+ * @desc gets the absolute path of the git directory shared by the worktrees, where git looks for the hooks
+ * @return {String}
+ */
+function getCommonDir() {
+  const rootDir = getRootDir();
+  const commonDir = shell.exec('git rev-parse --git-common-dir', {silent: true, cwd: rootDir}).trim();
+  return utils.resolve(rootDir, commonDir || '.git');
+}
+
 /**
  * @method getHooksDir()
- * @desc gets the hooks directory from .git folder
+ * @desc gets the hooks directory from .git folder, the one of the main worktree in a linked worktree
          > creates it if it doesn't exist
          > replaces the .git/hooks file with a .git/hooks folder
  * @return {String}
@@ -54,7 +116,7 @@ function getRootDir(dir) {
  */
 function getHooksDir() {
   const rootDir = getRootDir();
-  const gitHooksDir = utils.resolve(rootDir, '.git', 'hooks');
+  const gitHooksDir = utils.resolve(getCommonDir(), 'hooks');
 
   try {
     if (!utils.isADirectory(gitHooksDir)) {
@@ -76,69 +138,168 @@ function getHooksDir() {
  */
 function getBranch() {
   try {
-    return shell.exec('git rev-parse --abbrev-ref HEAD', {silent: true}).trim();
+    return exec('git rev-parse --abbrev-ref HEAD').trim();
   } catch (e) {
     throw new Error(`${colors.inverse('npm-git-hooks')} ${colors.red.inverse('ERROR')} Could not locate your current branch`);
   }
 }
 
 /**
- * @method checkUpstream(remote, branch)
- * @desc check if an upstream is configured for the current branch
- * @param {String} remote (name of the remote)
- * @param {String} branch (name of the branch)
- * @return {Boolean} result
+ * @method exec(cmd, env)
+ * @desc runs a git command from rootDir
+ * @param {String} cmd
+ * @param {Object} env (optional, environment variables added to the command)
+ * @return {Object} result (code and stdout of the command)
  */
-function checkUpstream(remote, branch) {
-  return shell.exec(`git log ${remote}/${branch}..HEAD`, {silent: true}).code === 0;
+function exec(cmd, env) {
+  return shell.exec(cmd, {silent: true, cwd: getRootDir(), env: Object.assign({}, process.env, env)});
 }
 
 /**
- * @method getCommitedFiles(remote, branch, upstream)
- * @desc get the files about to be pushed
- * @return {Array} files (relative paths from rootDir to files about to be pushed)
+ * @method isNullSha(sha)
+ * @desc checks if a sha is the null sha given by git for missing refs
+ * @param {String} sha
+ * @return {Boolean}
  */
-function getCommitedFiles() {
-  let commits;
-  let cmd;
+function isNullSha(sha) {
+  return /^0+$/.test(sha);
+}
 
-  try {
-    const rootDir = getRootDir();
-    const remote = process.argv[2] || 'origin';
-    const branch = getBranch();
-    const upstream = checkUpstream(remote, branch);
-
-    if (upstream) {
-      commits = shell.exec(`git log ${remote}/${branch}..HEAD`, {silent: true})
-        .trim().split('\n').filter(isTruthy);
-      cmd = `git diff --stat --cached ${remote}/${branch}`;
-    } else {
-      commits = shell.exec('git log --branches --remotes --simplify-by-decoration --oneline --format=format:%H', {silent: true})
-        .trim().split('\n').filter(isTruthy);
-      const commit = commits[1] || commits[commits.length - 1];
-      cmd = `git diff --stat --cached ${commit}`;
-    }
-    if (!commits || commits && !commits.length) {
-      throw new handlers.NoCommitsError(rootDir, branch);
-    }
-    // Get the files being pushed
-    process.chdir(rootDir);
-    return shell.exec(cmd, {silent: true}).trim().split('\n').filter(isTruthy);
-  } catch (e) {
-    console.error(e.message);
-    process.exit(1);
+/**
+ * @method parsePushRefs(stdin)
+ * @desc parses the lines given by git to the pre-push hook
+ * @param {String} stdin (lines of "<local ref> <local sha> <remote ref> <remote sha>")
+ * @return {Array<Object>} refs
+ *** @prop {String} ref.localRef
+ *** @prop {String} ref.localSha
+ *** @prop {String} ref.remoteRef
+ *** @prop {String} ref.remoteSha
+ */
+function parsePushRefs(stdin) {
+  return (stdin || '').split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(parts => parts.length === 4)
+    .map(parts => {
+      return {
+        localRef: parts[0],
+        localSha: parts[1],
+        remoteRef: parts[2],
+        remoteSha: parts[3],
+      };
+    });
+}
+
+/**
+ * @method getUpstreamRef()
+ * @desc builds a push ref for the current branch and its upstream, used when the hook is not given any ref
+ * @return {Array<Object>} refs (empty if HEAD is not a branch)
+ */
+function getUpstreamRef() {
+  const branch = getBranch();
+  if (!branch || branch === 'HEAD') return [];
+  const upstream = exec('git rev-parse --verify --quiet @{u}');
+  return [{
+    localRef: `refs/heads/${branch}`,
+    localSha: exec('git rev-parse HEAD').trim(),
+    remoteRef: `refs/heads/${branch}`,
+    remoteSha: (upstream.code === 0) ? upstream.trim() : '0'.repeat(40),
+  }];
+}
+
+/**
+ * @method getPushRange(ref, remote)
+ * @desc gets the revision range of the commits pushed for a ref
+         > the commits of a new branch, or of a branch whose remote sha is unknown locally, are the ones
+         that are not on any branch of the remote yet
+ * @param {Object} ref
+ * @param {String} remote (name of the remote)
+ * @return {String|null} range (null for deletions)
+ */
+function getPushRange(ref, remote) {
+  if (isNullSha(ref.localSha)) return null;
+  const known = !isNullSha(ref.remoteSha) && exec(`git cat-file -e ${ref.remoteSha}^{commit}`).code === 0;
+  return (known)
+    ? `${ref.remoteSha}..${ref.localSha}`
+    : `${ref.localSha} --not --remotes=${remote}`;
+}
+
+/**
+ * @method getPushedRefs(stdin, remote)
+ * @desc gets the refs about to be pushed with the revision range of their commits
+ * @param {String} stdin (the input given by git to the pre-push hook)
+ * @param {String} remote (name of the remote)
+ * @return {Array<Object>} refs (the parsed refs with their range)
+ * @throws {NoCommitsError} if no ref is pushed
+ */
+function getPushedRefs(stdin, remote) {
+  remote = remote || 'origin';
+  const refs = parsePushRefs(stdin);
+  const pushed = (refs.length) ? refs : getUpstreamRef();
+  if (!pushed.length) {
+    throw new handlers.NoCommitsError(getRootDir(), getBranch());
   }
+  return pushed.map(ref => Object.assign({range: getPushRange(ref, remote)}, ref));
+}
+
+/**
+ * @method getPushedFiles(stdin, remote)
+ * @desc gets the files changed by the commits about to be pushed, for every pushed ref
+         > the files deleted by the commits or missing from the pushed commit are left out, no task can run on them
+ * @param {String} stdin (the input given by git to the pre-push hook)
+ * @param {String} remote (name of the remote)
+ * @return {Array<Object>} refs (the parsed refs with their files, relative paths from rootDir)
+ * @throws {NoCommitsError} if no ref is pushed
+ */
+function getPushedFiles(stdin, remote) {
+  return getPushedRefs(stdin, remote).map(ref => {
+    const changed = (ref.range)
+      ? exec(`git log --name-only --diff-filter=ACMR --format=format: ${ref.range}`).trim().split('\n').filter(isTruthy)
+      : [];
+    const pushed = new Set((changed.length)
+      ? exec(`git ls-tree -r -z --name-only ${ref.localSha}`).split('\0').filter(isTruthy)
+      : []);
+    const files = changed.filter((f, i) => changed.indexOf(f) === i && pushed.has(f));
+    return Object.assign({files}, ref);
+  });
+}
+
+/**
+ * @method getPushedCommits(stdin, remote)
+ * @desc gets the commits about to be pushed, merge commits excluded
+ * @param {String} stdin (the input given by git to the pre-push hook)
+ * @param {String} remote (name of the remote)
+ * @return {Array<Object>} commits
+ *** @prop {String} commit.sha
+ *** @prop {String} commit.subject
+ *** @prop {String} commit.message
+ * @throws {NoCommitsError} if no ref is pushed
+ */
+function getPushedCommits(stdin, remote) {
+  return getPushedRefs(stdin, remote)
+    .filter(ref => Boolean(ref.range))
+    .reduce((commits, ref) => {
+      const log = exec(`git log --no-merges --format=format:%H%x00%B%x1e ${ref.range}`).toString();
+      return commits.concat(log.split('\x1e')
+        .map(entry => entry.replace(/^\n/, '').split('\x00'))
+        .filter(parts => parts.length === 2 && commits.every(c => c.sha !== parts[0]))
+        .map(parts => {
+          return {
+            sha: parts[0],
+            subject: parts[1].split('\n')[0],
+            message: parts[1],
+          };
+        }));
+    }, []);
 }
 
 /**
  * @method getStagedFiles(repoPath)
- * @desc lists all staged files about to be committed
+ * @desc lists all staged files about to be committed, deleted files excluded as no task can run on them
  * @return {Array}
  */
 function getStagedFiles() {
   const repoPath = getRootDir();
-  process.chdir(repoPath);
-  const stagedFiles = shell.exec('git diff --cached --name-only', {silent: true})
+  const stagedFiles = exec('git diff --cached --name-only --diff-filter=ACMR')
     .trim().split('\n').filter(isTruthy);
   if (!stagedFiles || stagedFiles && !stagedFiles.length) {
     throw new handlers.NoStagedFileError(repoPath);
@@ -146,23 +307,313 @@ function getStagedFiles() {
   return stagedFiles;
 }
 
+/**
+ * @method diffFiles(args)
+ * @desc lists the files changed between two trees
+ * @param {String} args (the arguments of git diff)
+ * @return {Array<String>} relative paths from rootDir
+ */
+function diffFiles(args) {
+  return exec(`git diff --name-only ${args}`).trim().split('\n').filter(isTruthy);
+}
+
+/**
+ * @method getCheckoutFiles(previous, head)
+ * @desc lists the files changed by a checkout, from the arguments of post-checkout
+         > the previous HEAD is the null sha after a clone, every file of the new HEAD being changed
+ * @param {String} previous (the previous HEAD)
+ * @param {String} head (the new HEAD, HEAD by default)
+ * @return {Array<String>} relative paths from rootDir
+ */
+function getCheckoutFiles(previous, head) {
+  const from = (!previous || isNullSha(previous)) ? EMPTY_TREE : previous;
+  return diffFiles(`${from} ${head || 'HEAD'}`);
+}
+
+/**
+ * @method getMergeFiles(squash)
+ * @desc lists the files changed by a merge, from the argument of post-merge
+         > a squash merge does not move HEAD, its changes are only staged
+ * @param {Boolean} squash
+ * @return {Array<String>} relative paths from rootDir
+ */
+function getMergeFiles(squash) {
+  if (squash) {
+    return diffFiles('--cached HEAD');
+  }
+  return (exec('git rev-parse --verify --quiet ORIG_HEAD').code === 0) ? diffFiles('ORIG_HEAD HEAD') : [];
+}
+
+/**
+ * @method listFiles(dir)
+ * @desc lists the files of a folder known to git, tracked or untracked but not ignored, that exist in the working tree
+ * @param {String} dir (relative path from rootDir)
+ * @return {Array<String>} relative paths from rootDir
+ */
+function listFiles(dir) {
+  const rootDir = getRootDir();
+  return exec(`git ls-files -z --cached --others --exclude-standard -- ${utils.quote(dir)}`)
+    .split('\0').filter(isTruthy)
+    .filter(file => utils.isAFile(utils.resolve(rootDir, file)));
+}
+
+/**
+ * @method catFiles(mode, objects, contentSize)
+ * @desc runs git cat-file in batch mode on objects given on its standard input, in a single process
+         > the output can be much bigger than the buffer of shelljs exec, which hangs once it is full
+ * @param {String} mode (--batch or --batch-check)
+ * @param {Array<String>} objects (object names, such as :file for a staged file)
+ * @param {Number} contentSize (optional, total size of the objects printed in bytes)
+ * @return {Buffer} output
+ */
+function catFiles(mode, objects, contentSize) {
+  const input = objects.map(object => `${object}\n`).join('');
+  return childProcess.execFileSync('git', ['cat-file', mode], {
+    cwd: getRootDir(),
+    input,
+    // Every object prints a line with its sha, type and size, or its name followed by "missing"
+    maxBuffer: (contentSize || 0) + Buffer.byteLength(input) + objects.length * 128 + 1024,
+    stdio: ['pipe', 'pipe', 'ignore'],
+  });
+}
+
+/**
+ * @method getFileSizes(files, rev)
+ * @desc gets the size of files in a commit, or of their staged content, without reading them
+ * @param {Array<String>} files (relative paths from rootDir)
+ * @param {String} rev (optional, the commit, the index by default)
+ * @return {Object} sizes in bytes keyed by file, null for the files that do not exist there
+ */
+function getFileSizes(files, rev) {
+  if (!files.length) return {};
+  const lines = catFiles('--batch-check', files.map(file => `${rev || ''}:${file}`)).toString().split('\n');
+  return files.reduce((sizes, file, index) => {
+    const match = /^[0-9a-f]+ blob (\d+)$/.exec(lines[index]);
+    return Object.assign(sizes, {[file]: (match) ? Number(match[1]) : null});
+  }, {});
+}
+
+/**
+ * @method getFileContents(files, rev, maxSize)
+ * @desc reads the content of files in a commit, or their staged content which is what gets committed
+ * @param {Array<String>} files (relative paths from rootDir)
+ * @param {String} rev (optional, the commit, the index by default)
+ * @param {Number} maxSize (optional, the files bigger than this number of bytes are not read)
+ * @return {Object} contents keyed by file, null for the files that do not exist there or are too big
+ */
+function getFileContents(files, rev, maxSize) {
+  const sizes = getFileSizes(files, rev);
+  const contents = files.reduce((result, file) => Object.assign(result, {[file]: null}), {});
+  const read = files.filter(file => sizes[file] !== null && !(maxSize && sizes[file] > maxSize));
+  if (!read.length) return contents;
+  const total = read.reduce((sum, file) => sum + sizes[file], 0);
+  const output = catFiles('--batch', read.map(file => `${rev || ''}:${file}`), total);
+  // Every object is printed as a "<sha> <type> <size>" line, its content and a new line
+  let offset = 0;
+  read.forEach(file => {
+    const end = output.indexOf(10, offset);
+    const match = /^[0-9a-f]+ blob (\d+)$/.exec(output.toString('utf8', offset, end));
+    const size = (match) ? Number(match[1]) : 0;
+    contents[file] = (match) ? output.toString('utf8', end + 1, end + 1 + size) : null;
+    offset = end + 1 + ((match) ? size + 1 : 0);
+  });
+  return contents;
+}
+
+/**
+ * @method getFileContent(file, rev)
+ * @desc reads the content of a file in a commit, or its staged content which is what gets committed
+ * @param {String} file (relative path from rootDir)
+ * @param {String} rev (optional, the commit, the index by default)
+ * @return {String|null} null if the file does not exist there, such as a deleted file
+ */
+function getFileContent(file, rev) {
+  return getFileContents([file], rev)[file];
+}
+
+/**
+ * @method getModifiedFiles(files)
+ * @desc lists the files whose working tree content differs from the index
+ * @param {Array<String>} files (relative paths from rootDir)
+ * @return {Array<String>}
+ */
+function getModifiedFiles(files) {
+  if (!files.length) return [];
+  return exec(`git diff --name-only -- ${files.map(utils.quote).join(' ')}`)
+    .trim().split('\n').filter(isTruthy);
+}
+
+/**
+ * @method addFiles(files)
+ * @desc adds files to the index
+ * @param {Array<String>} files (relative paths from rootDir)
+ */
+function addFiles(files) {
+  if (files.length) exec(`git add -- ${files.map(utils.quote).join(' ')}`);
+}
+
+/**
+ * @method discardChanges()
+ * @desc replaces the working tree content of the tracked files with the index content
+ */
+function discardChanges() {
+  exec('git checkout -- .');
+}
+
+/**
+ * @method getUnstagedPatch()
+ * @desc gets the unstaged changes of the tracked files as a patch without context, so that it still applies once the
+         staged content was modified
+ * @return {String}
+ */
+function getUnstagedPatch() {
+  return exec('git diff --binary --no-color --no-ext-diff --unified=0').toString();
+}
+
+/**
+ * @method applyPatch(patch)
+ * @desc applies a patch from getUnstagedPatch to the working tree, nothing is applied if a part of it fails
+ * @param {String} patch
+ * @return {Boolean}
+ */
+function applyPatch(patch) {
+  const patchFile = utils.resolve(getGitDir(), 'npm-git-hooks.patch');
+  utils.writeToFile(patchFile, patch);
+  const result = exec(`git apply --whitespace=nowarn --recount --unidiff-zero ${utils.quote(patchFile)}`);
+  utils.remove(patchFile);
+  return result.code === 0;
+}
+
+/**
+ * @method hasHead()
+ * @desc checks if HEAD points to a commit, which is not the case before the first commit
+ * @return {Boolean}
+ */
+function hasHead() {
+  return exec('git rev-parse --verify -q HEAD').code === 0;
+}
+
+/**
+ * @method stashUnstaged()
+ * @desc stashes the unstaged changes and the untracked files, leaving the index and its content in the working tree
+ * @return {String|null} sha of the stash, null if there was nothing to stash or no commit to stash on
+ * @throws {Error} if the changes cannot be stashed
+ */
+function stashUnstaged() {
+  if (!hasHead()) return null;
+  const unstaged = exec('git status --porcelain --untracked-files=all').toString()
+    .split('\n').filter(isTruthy).some(line => line[1] !== ' ');
+  if (!unstaged) return null;
+  const result = exec('git stash push --keep-index --include-untracked -m "npm-git-hooks: unstaged changes"');
+  if (result.code !== 0) {
+    throw new Error(`${colors.inverse('npm-git-hooks')} ${colors.red.inverse('ERROR')} Could not stash the unstaged changes\n${result.stderr}`);
+  }
+  return exec('git rev-parse stash@{0}').trim();
+}
+
+/**
+ * @method checkoutWorkingTree(rev)
+ * @desc writes the files of a revision to the working tree, leaving the index untouched
+         > git checkout updates a temporary index instead of the real one
+ * @param {String} rev
+ * @return {Boolean}
+ */
+function checkoutWorkingTree(rev) {
+  const indexFile = utils.resolve(getGitDir(), 'npm-git-hooks.index');
+  const result = exec(`git checkout ${rev} -- .`, {GIT_INDEX_FILE: indexFile});
+  if (utils.isAFile(indexFile)) utils.remove(indexFile);
+  return result.code === 0;
+}
+
+/**
+ * @method restoreStash(sha, patch)
+ * @desc restores the unstaged changes and untracked files stashed by stashUnstaged, and drops the stash
+         > the changes are applied with the patch from getUnstagedPatch, or copied from the stash if the patch does not
+         apply anymore, in which case the working tree loses the modifications made since the stash
+ * @param {String} sha
+ * @param {String} patch
+ * @return {Boolean} false if the stash could not be restored, in which case it is kept
+ */
+function restoreStash(sha, patch) {
+  const restored = (!patch || applyPatch(patch) || checkoutWorkingTree(sha)) &&
+    (exec(`git rev-parse --verify --quiet ${sha}^3`).code !== 0 || checkoutWorkingTree(`${sha}^3`));
+  if (!restored) return false;
+  const index = exec('git stash list --format=%H').trim().split('\n').indexOf(sha);
+  if (index >= 0) exec(`git stash drop stash@{${index}}`);
+  return true;
+}
+
+/**
+ * @method getMergeState()
+ * @desc reads the files of the git directory holding a merge in progress, if any
+ * @return {Object} content of the files, keyed by name
+ */
+function getMergeState() {
+  const gitDir = getGitDir();
+  return MERGE_FILES
+    .filter(name => utils.isAFile(utils.resolve(gitDir, name)))
+    .reduce((state, name) => Object.assign(state, {[name]: fs.readFileSync(utils.resolve(gitDir, name))}), {});
+}
+
+/**
+ * @method restoreMergeState(state)
+ * @desc writes back the files read by getMergeState, so that the commit still concludes the merge
+ * @param {Object} state
+ */
+function restoreMergeState(state) {
+  const gitDir = getGitDir();
+  Object.keys(state).forEach(name => fs.writeFileSync(utils.resolve(gitDir, name), state[name]));
+}
+
 /**
  * @method getUsername()
  * @desc gets the git username
  * @return {String}
  */
 function getUsername() {
-  return shell.exec('git config user.name', {silent: true}).trim();
+  return exec('git config user.name').trim();
+}
+
+/**
+ * @method getUserEmail()
+ * @desc gets the git user email
+ * @return {String}
+ */
+function getUserEmail() {
+  return exec('git config user.email').trim();
 }
 
 /**
- * @method getGitMessage()
- * @desc retrieves the last commit message
+ * @method getCommitMessagePath(file)
+ * @desc gets the absolute path of the commit message file
+ * @param {String} file (optional, the path given by git to the hook, relative to rootDir)
  * @return {String}
  */
-function getCommitMessage() {
-  const filePath = `${getRootDir()}/.git/COMMIT_EDITMSG`;
+function getCommitMessagePath(file) {
+  return (file)
+    ? utils.resolve(getRootDir(), file)
+    : utils.resolve(getGitDir(), 'COMMIT_EDITMSG');
+}
+
+/**
+ * @method getCommitMessage(file)
+ * @desc retrieves the commit message being written
+ * @param {String} file (optional, the path given by git to the hook, defaults to COMMIT_EDITMSG)
+ * @return {String}
+ */
+function getCommitMessage(file) {
+  const filePath = getCommitMessagePath(file);
   return (utils.isAFile(filePath))
-    ? utils.read(filePath)
+    ? utils.read(filePath).toString('utf8').replace(/^\uFEFF/, '')
     : "";
 }
+
+/**
+ * @method writeCommitMessage(message, file)
+ * @desc replaces the commit message being written
+ * @param {String} message
+ * @param {String} file (optional, the path given by git to the hook, defaults to COMMIT_EDITMSG)
+ */
+function writeCommitMessage(message, file) {
+  utils.writeToFile(getCommitMessagePath(file), message);
+}
@@ -3,10 +3,11 @@
 const colors = require('colors');
 
 module.exports = {
- NoConfigError, NoFileError, RunTaskError,
+ NoConfigError, NoFileError, RunTaskError, TaskAbortedError,
  InstallError, PathNotFoundError, NoStreamError,
- NoCommitsError, NoStagedFileError,
- errorCallback, successCallback,
+ NoCommitsError, NoStagedFileError, InvalidTaskError,
+ CommitMsgError, PushedCommitsError, ProtectedBranchError,
+ errorCallback, successCallback, summaryCallback, resultsCallback,
 };
 
 /**
@@ -41,17 +42,39 @@ NoFileError.prototype.constructor = NoFileError;
  * @param {String} task
  * @param {String} project
  * @param {String} operation
+ * @param {Number} code (exit code of the task)
+ * @param {Number} timeout (optional, the timeout of the task in milliseconds if it was killed because of it)
  */
-function RunTaskError(task, project, operation) {
+function RunTaskError(task, project, operation, code, timeout) {
   this.name = 'RunTaskError';
   this.task = task || 'unknown';
   this.project = project || 'unknown';
-  this.message = `${colors.inverse('npm-git-hooks')} ${colors.red.inverse('FAIL')} ${colors.magenta(operation)} not permitted because task ${this.task} failed for project ${this.project}`;
+  this.code = (code === undefined) ? null : code;
+  this.timeout = timeout || null;
+  const reason = (this.timeout) ? `timed out after ${this.timeout} ms` : 'failed';
+  this.message = `${colors.inverse('npm-git-hooks')} ${colors.red.inverse('FAIL')} ${colors.magenta(operation)} not permitted because task ${this.task} ${reason} for project ${this.project}`;
   this.stack = (new Error()).stack;
 }
 RunTaskError.prototype = Object.create(Error.prototype);
 RunTaskError.prototype.constructor = RunTaskError;
 
+/**
+ * @constructor TaskAbortedError(task, project, operation)
+ * @desc ErrorType constructor when a task is stopped or not started because another task failed
+ * @param {String} task
+ * @param {String} project
+ * @param {String} operation
+ */
+function TaskAbortedError(task, project, operation) {
+  this.name = 'TaskAbortedError';
+  this.task = task || 'unknown';
+  this.project = project || 'unknown';
+  this.message = `${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('ABORTED')} ${colors.magenta(operation)} task ${this.task} of project ${this.project} stopped because another task failed`;
+  this.stack = (new Error()).stack;
+}
+TaskAbortedError.prototype = Object.create(Error.prototype);
+TaskAbortedError.prototype.constructor = TaskAbortedError;
+
 /**
  * @constructor InstallError(message)
  * @desc ErrorType constructor if installation fails
@@ -121,10 +144,77 @@ NoCommitsError.prototype.constructor = NoCommitsError;
 NoStagedFileError.prototype = Object.create(Error.prototype);
 NoStagedFileError.prototype.constructor = NoStagedFileError;
 
+/**
+ * @constructor InvalidTaskError(task)
+ * @desc ErrorType constructor when a task from package.json cannot be understood
+ * @param {Any} task
+ */
+function InvalidTaskError(task) {
+  this.name = 'InvalidTaskError';
+  this.message = `${colors.inverse('npm-git-hooks')} ${colors.red.inverse('ERROR')} Invalid task ${JSON.stringify(task)}, a task must be a command or an object with a command, plugin or check property`;
+  this.stack = (new Error()).stack;
+}
+InvalidTaskError.prototype = Object.create(Error.prototype);
+InvalidTaskError.prototype.constructor = InvalidTaskError;
+
+/**
+ * @constructor CommitMsgError(project, failures)
+ * @desc ErrorType constructor when the commit message breaks some of the rules
+ * @param {String} project
+ * @param {Array<Object>} failures
+ */
+function CommitMsgError(project, failures) {
+  this.name = 'CommitMsgError';
+  this.project = project || 'unknown';
+  this.failures = failures || [];
+  this.message = `${colors.inverse('npm-git-hooks')} ${colors.red.inverse('FAIL')} ${colors.magenta('commit-msg')} Commit message does not follow the rules of project ${this.project}\n` +
+    this.failures.map(f => `  - ${colors.bold(f.rule)}: ${f.message}`).join('\n');
+  this.stack = (new Error()).stack;
+}
+CommitMsgError.prototype = Object.create(Error.prototype);
+CommitMsgError.prototype.constructor = CommitMsgError;
+
+/**
+ * @constructor PushedCommitsError(project, commits)
+ * @desc ErrorType constructor when some of the pushed commits are not allowed
+ * @param {String} project
+ * @param {Array<Object>} commits (the offending commits with their failures)
+ */
+function PushedCommitsError(project, commits) {
+  this.name = 'PushedCommitsError';
+  this.project = project || 'unknown';
+  this.commits = commits || [];
+  this.message = `${colors.inverse('npm-git-hooks')} ${colors.red.inverse('FAIL')} ${colors.magenta('pre-push')} Some pushed commits do not follow the rules of project ${this.project}\n` +
+    this.commits.map(c => `  ${colors.yellow(c.sha.substr(0, 7))} ${c.subject}\n` +
+      c.failures.map(f => `    - ${colors.bold(f.rule)}: ${f.message}`).join('\n')).join('\n');
+  this.stack = (new Error()).stack;
+}
+PushedCommitsError.prototype = Object.create(Error.prototype);
+PushedCommitsError.prototype.constructor = PushedCommitsError;
+
+/**
+ * @constructor ProtectedBranchError(branches, operation, project)
+ * @desc ErrorType constructor when a commit or a push targets a protected branch
+ * @param {Array<String>} branches
+ * @param {String} operation
+ * @param {String} project
+ */
+function ProtectedBranchError(branches, operation, project) {
+  this.name = 'ProtectedBranchError';
+  this.branches = branches || [];
+  this.project = project || 'unknown';
+  const action = (operation === 'pre-push') ? 'Pushing to' : 'Committing on';
+  this.message = `${colors.inverse('npm-git-hooks')} ${colors.red.inverse('FAIL')} ${colors.magenta(operation)} ${action} ${this.branches.join(', ')} is not permitted, branch protected by project ${this.project}. Please use another branch and open a pull request.`;
+  this.stack = (new Error()).stack;
+}
+ProtectedBranchError.prototype = Object.create(Error.prototype);
+ProtectedBranchError.prototype.constructor = ProtectedBranchError;
+
 /**
  * @callback errorCallback(errors)
  * @desc manages errors while running tasks
  * @param {Error} e
+ * @return {Boolean} true if the error fails the hook
  */
 function errorCallback(e) {
   if (e instanceof NoConfigError ||
@@ -132,20 +222,24 @@ function errorCallback(e) {
       e instanceof NoCommitsError) {
     // We need to let git roll if the error is not related to running a task
     console.log(e.message);
+    return false;
+  } else if (e instanceof CommitMsgError ||
+      e instanceof PushedCommitsError ||
+      e instanceof ProtectedBranchError) {
+    // The stacktrace is of no use to fix a broken rule
+    console.error(`\n${e.message}\n`);
   } else if (e instanceof RunTaskError) {
-    // We want to stop the process immediately with a falsy exit code if the error comes from running a task
     console.error('\n*************');
     console.error(e.message);
     console.error('Stacktrace:\n');
     console.error(e.stack);
     console.error('*************\n');
-    process.exit(1);
   } else {
-    // If the error comes from somewhere else, print the error stack and stop everything
+    // If the error comes from somewhere else, print the error stack
     console.error(e.message);
     console.error(e.stack);
-    process.exit(1);
   }
+  return true;
 }
 
 /**
@@ -162,3 +256,53 @@ function successCallback(pkg, operation, tasks) {
     console.log(`${colors.inverse('npm-git-hooks')} ${colors.green.inverse('SUCCESS')} ${colors.magenta(operation)} All tasks successful in project ${pkg.name}`);
   }
 }
+
+/**
+ * @callback summaryCallback(operation, summary)
+ * @desc prints the number of packages the hook ran on and the number of skipped packages and tasks
+ * @param {String} operation
+ * @param {Object} summary
+ *  @prop {Number} summary.packages
+ *  @prop {Object} summary.skipped (the names of the skipped packages, keyed by reason)
+ *  @prop {Number} summary.skippedTasks
+ */
+function summaryCallback(operation, summary) {
+  const reasons = Object.keys(summary.skipped);
+  const skipped = reasons.reduce((total, reason) => total + summary.skipped[reason].length, 0);
+  console.log(`${colors.inverse('npm-git-hooks')} ${colors.inverse('SUMMARY')} ${colors.magenta(operation)} ${summary.packages} project(s) run, ` +
+    `${skipped} project(s) skipped${reasons.length ? ` (${reasons.join(', ')})` : ''}, ${summary.skippedTasks} task(s) skipped`);
+}
+
+/**
+ * @callback resultsCallback(operation, results)
+ * @desc prints a table of the tasks run by the hook, with their status, duration and exit code
+ * @param {String} operation
+ * @param {Array<Object>} results
+ *  @prop {String} result.project
+ *  @prop {String} result.path (relative path of the project)
+ *  @prop {String} result.task
+ *  @prop {String} result.status (success, cached, failed, allowed failure, skipped or aborted)
+ *  @prop {Number} result.duration (in milliseconds)
+ *  @prop {Number|null} result.code (exit code of the task, null if it did not run to completion)
+ *  @prop {Number|null} result.timeout (the timeout of the task in milliseconds if it was killed because of it)
+ */
+function resultsCallback(operation, results) {
+  const statusColors = {success: 'green', cached: 'green', failed: 'red', 'allowed failure': 'yellow', skipped: 'cyan', aborted: 'yellow'};
+  const rows = [['PROJECT', 'TASK', 'STATUS', 'DURATION', 'EXIT CODE']].concat(results.map(result => [
+    result.project,
+    result.task,
+    result.status,
+    `${(result.duration / 1000).toFixed(2)}s`,
+    (result.timeout) ? 'timed out' : (result.code === null) ? '-' : String(result.code),
+  ]));
+  const widths = rows[0].map((header, i) => Math.max.apply(null, rows.map(row => row[i].length)));
+  console.log(`${colors.inverse('npm-git-hooks')} ${colors.inverse('RESULTS')} ${colors.magenta(operation)}`);
+  rows.forEach((row, index) => {
+    const cells = row.map((cell, i) => {
+      const padded = cell + ' '.repeat(widths[i] - cell.length);
+      if (index === 0) return colors.bold(padded);
+      return (i === 2) ? colors[statusColors[cell] || 'reset'](padded) : padded;
+    });
+    console.log(`  ${cells.join('  ')}`.replace(/ +$/, ''));
+  });
+}
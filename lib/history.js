@@ -0,0 +1,79 @@
+'use strict';
+
+const git = require('./git');
+const utils = require('./utils');
+
+// File of the git directory the hook runs are recorded to, one JSON entry per line
+const HISTORY_FILE = 'npm-git-hooks-history.jsonl';
+// Number of runs kept in the history, the oldest ones being dropped
+const MAX_ENTRIES = 1000;
+
+module.exports = {
+  HISTORY_FILE,
+  MAX_ENTRIES,
+  getHistoryPath,
+  read,
+  record,
+};
+
+/**
+ * @method getHistoryPath()
+ * @desc gets the path of the history file, in the git directory
+ * @return {String}
+ */
+function getHistoryPath() {
+  return utils.resolve(git.getGitDir(), HISTORY_FILE);
+}
+
+/**
+ * @method read()
+ * @desc reads the recorded hook runs, ignoring the lines that cannot be parsed
+ * @return {Array<Object>} entries, from the oldest to the newest
+ */
+function read() {
+  const file = getHistoryPath();
+  if (!utils.isAFile(file)) return [];
+  return utils.read(file).toString().split('\n').reduce((entries, line) => {
+    try {
+      return (line.trim()) ? entries.concat(JSON.parse(line)) : entries;
+    } catch (e) {
+      return entries;
+    }
+  }, []);
+}
+
+/**
+ * @method record(report)
+ * @desc adds a hook run to the history
+         > recording is disabled when NPM_GIT_HOOKS_HISTORY is false, and never fails the hook
+ * @param {Object} report (the report returned by run)
+ * @return {Object|null} the recorded entry
+ */
+function record(report) {
+  if (process.env.NPM_GIT_HOOKS_HISTORY === 'false') return null;
+  try {
+    const entry = {
+      date: new Date().toISOString(),
+      hook: report.operation,
+      branch: git.getBranch(),
+      code: report.code,
+      duration: report.duration,
+      skipped: !report.packages.length,
+      packages: report.packages.map(pkg => pkg.project),
+      skippedPackages: report.skipped,
+      tasks: report.results.map(result => ({
+        project: result.project,
+        path: result.path,
+        task: result.task,
+        status: result.status,
+        duration: result.duration,
+        code: result.code,
+      })),
+    };
+    const entries = read().concat(entry).slice(-MAX_ENTRIES);
+    utils.writeToFile(getHistoryPath(), entries.map(item => JSON.stringify(item)).join('\n') + '\n');
+    return entry;
+  } catch (e) {
+    return null;
+  }
+}
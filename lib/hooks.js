@@ -0,0 +1,69 @@
+'use strict';
+
+const utils = require('./utils');
+
+const MARKER = '# npm-git-hooks';
+const LEGACY_SIGNATURE = "Cannot find node_modules folder, please run 'npm install' first";
+const BACKUP_EXTENSION = '.local';
+const DISPATCHER = utils.resolve(__dirname, '..', 'hooks', 'dispatcher');
+
+// All the client-side hooks supported by git
+const HOOKS = [
+  'applypatch-msg',
+  'pre-applypatch',
+  'post-applypatch',
+  'pre-commit',
+  'pre-merge-commit',
+  'prepare-commit-msg',
+  'commit-msg',
+  'post-commit',
+  'pre-rebase',
+  'post-checkout',
+  'post-merge',
+  'pre-push',
+  'post-rewrite',
+  'pre-auto-gc',
+];
+
+module.exports = {
+  MARKER,
+  DISPATCHER,
+  HOOKS,
+  isHook,
+  isOwnHook,
+  getBackupPath,
+};
+
+/**
+ * @method isHook(name)
+ * @desc checks if a name is the name of a git hook supported by npm-git-hooks
+ * @param {String} name
+ * @return {Boolean}
+ */
+function isHook(name) {
+  return HOOKS.indexOf(name) >= 0;
+}
+
+/**
+ * @method isOwnHook(hookPath)
+ * @desc checks if a hook file was installed by npm-git-hooks, using the marker in its header
+         > hooks installed by older versions, which had no marker, are recognized by their content
+ * @param {String} hookPath (absolute path of the hook file)
+ * @return {Boolean}
+ */
+function isOwnHook(hookPath) {
+  if (!utils.isAFile(hookPath)) return false;
+  const content = utils.read(hookPath).toString();
+  const header = content.split('\n').slice(0, 5);
+  return header.some(line => line.trim() === MARKER) || content.indexOf(LEGACY_SIGNATURE) >= 0;
+}
+
+/**
+ * @method getBackupPath(hookPath)
+ * @desc gets the path where a hook installed before npm-git-hooks is kept, and chained from our hook
+ * @param {String} hookPath (absolute path of the hook file)
+ * @return {String}
+ */
+function getBackupPath(hookPath) {
+  return `${hookPath}${BACKUP_EXTENSION}`;
+}
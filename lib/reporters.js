@@ -0,0 +1,165 @@
+'use strict';
+
+const colors = require('colors');
+const utils = require('./utils');
+const handlers = require('./handlers');
+
+// Writers of the machine-readable reports, keyed by reporter type
+const REPORTERS = {
+  json: toJson,
+  junit: toJunit,
+};
+
+module.exports = {
+  REPORTERS,
+  parse,
+  write,
+};
+
+/**
+ * @method parse(list)
+ * @desc parses reporters given as type:file, such as junit:reports/hooks.xml
+ * @param {Array<String>|String} list (an array or a comma separated list)
+ * @return {Array<Object>} reporters
+ *** @prop {String} reporter.type (json or junit)
+ *** @prop {String} reporter.file
+ * @throws {Error} if a reporter type is unknown or misses its file
+ */
+function parse(list) {
+  const items = (typeof list === 'string') ? list.split(',') : (list || []);
+  return items.map(item => item.trim()).filter(item => Boolean(item)).map(item => {
+    const index = item.indexOf(':');
+    const type = (index > 0) ? item.substring(0, index) : item;
+    const file = (index > 0) ? item.substring(index + 1) : '';
+    if (!REPORTERS[type] || !file) {
+      throw new Error(`Invalid reporter ${item}, use ${Object.keys(REPORTERS).map(name => `${name}:<file>`).join(' or ')}`);
+    }
+    return {type, file};
+  });
+}
+
+/**
+ * @method write(report, reporters, cwd)
+ * @desc writes the report of a hook run in the format of every reporter
+         > a report that cannot be written is logged, it does not fail the hook
+ * @param {Object} report (the report returned by run)
+ * @param {Array<Object>} reporters
+ * @param {String} cwd (the folder the report files are relative to)
+ */
+function write(report, reporters, cwd) {
+  reporters.forEach(reporter => {
+    const file = utils.resolve(cwd, reporter.file);
+    try {
+      utils.writeToFile(file, REPORTERS[reporter.type](report));
+      console.log(`${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('INFO')} ${colors.magenta(report.operation)} ${reporter.type} report written to ${file}`);
+    } catch (e) {
+      console.error(new handlers.NoStreamError('write', `the ${reporter.type} report`, file).message);
+    }
+  });
+}
+
+/**
+ * @method toJson(report)
+ * @desc formats the report as JSON, grouping the tasks by package
+ * @param {Object} report
+ * @return {String}
+ */
+function toJson(report) {
+  return `${JSON.stringify({
+    hook: report.operation,
+    code: report.code,
+    duration: report.duration,
+    packages: report.packages.map(pkg => ({
+      name: pkg.project,
+      path: pkg.path,
+      files: pkg.files,
+      tasks: report.results.filter(result => result.path === pkg.path).map(result => ({
+        task: result.task,
+        status: result.status,
+        duration: result.duration,
+        code: result.code,
+        timeout: result.timeout,
+        files: result.files,
+      })),
+    })),
+    skipped: report.skipped,
+  }, null, 2)}\n`;
+}
+
+/**
+ * @method escapeXml(str)
+ * @desc escapes a string for an XML attribute or text
+ * @param {Any} str
+ * @return {String}
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * @method seconds(duration)
+ * @param {Number} duration (in milliseconds)
+ * @return {String}
+ */
+function seconds(duration) {
+  return ((duration || 0) / 1000).toFixed(3);
+}
+
+/**
+ * @method toTestCase(operation, result)
+ * @desc formats a task result as a JUnit testcase
+ * @param {String} operation
+ * @param {Object} result
+ * @return {String}
+ */
+function toTestCase(operation, result) {
+  const attributes = `classname="${escapeXml(`${operation}.${result.project}`)}" name="${escapeXml(result.task)}" time="${seconds(result.duration)}"`;
+  if (result.status === 'failed') {
+    const message = (result.timeout) ? `timed out after ${result.timeout} ms`
+      : (result.code === null) ? 'failed' : `exited with code ${result.code}`;
+    return `    <testcase ${attributes}>\n      <failure message="${escapeXml(message)}"/>\n    </testcase>`;
+  }
+  if (result.status === 'cached') {
+    return `    <testcase ${attributes}>\n      <system-out>cached, the task already succeeded with the same files</system-out>\n    </testcase>`;
+  }
+  if (result.status === 'skipped' || result.status === 'aborted') {
+    return `    <testcase ${attributes}>\n      <skipped message="${result.status}"/>\n    </testcase>`;
+  }
+  return `    <testcase ${attributes}/>`;
+}
+
+/**
+ * @method toJunit(report)
+ * @desc formats the report as JUnit XML, with a testsuite per package and a testcase per task
+         > the skipped packages are reported as a skipped testcase named after the hook
+ * @param {Object} report
+ * @return {String}
+ */
+function toJunit(report) {
+  const operation = report.operation;
+  const suites = report.packages.map(pkg => ({
+    name: pkg.project,
+    results: report.results.filter(result => result.path === pkg.path),
+  })).concat(Object.keys(report.skipped).reduce((list, reason) => list.concat(report.skipped[reason].map(project => ({
+    name: project,
+    results: [{project, task: operation, status: 'skipped', duration: 0, code: null}],
+  }))), []));
+  const count = (results, statuses) => results.filter(result => statuses.indexOf(result.status) >= 0).length;
+  const all = suites.reduce((list, suite) => list.concat(suite.results), []);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`npm-git-hooks ${operation}`)}" tests="${all.length}" failures="${count(all, ['failed'])}" ` +
+      `skipped="${count(all, ['skipped', 'aborted'])}" time="${seconds(report.duration)}">`,
+  ].concat(suites.map(suite => {
+    const time = suite.results.reduce((total, result) => total + result.duration, 0);
+    return [
+      `  <testsuite name="${escapeXml(suite.name)}" tests="${suite.results.length}" failures="${count(suite.results, ['failed'])}" ` +
+        `skipped="${count(suite.results, ['skipped', 'aborted'])}" time="${seconds(time)}">`,
+    ].concat(suite.results.map(result => toTestCase(operation, result)), '  </testsuite>').join('\n');
+  }), '</testsuites>', '').join('\n');
+}
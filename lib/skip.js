@@ -0,0 +1,97 @@
+'use strict';
+
+const utils = require('./utils');
+
+// Environment variables set by the most common CI services
+const CI_VARIABLES = [
+  'CI',
+  'CONTINUOUS_INTEGRATION',
+  'BUILD_NUMBER',
+  'JENKINS_URL',
+  'GITHUB_ACTIONS',
+  'GITLAB_CI',
+  'TRAVIS',
+  'CIRCLECI',
+  'TF_BUILD',
+  'BITBUCKET_BUILD_NUMBER',
+  'TEAMCITY_VERSION',
+  'BUILDKITE',
+];
+const ALL = ['*', 'all', 'true', '1'];
+
+module.exports = {
+  isCI,
+  isHookSkipped,
+  isTaskSkipped,
+  getSkipReason,
+};
+
+/**
+ * @method getList(name)
+ * @desc reads a comma separated list from an environment variable
+ * @param {String} name
+ * @return {Array<String>}
+ */
+function getList(name) {
+  return (process.env[name] || '').split(',').map(item => item.trim()).filter(item => Boolean(item));
+}
+
+/**
+ * @method isCI()
+ * @desc checks if the hook runs in a CI environment
+ * @return {Boolean}
+ */
+function isCI() {
+  return CI_VARIABLES.some(name => Boolean(process.env[name]) && process.env[name] !== 'false');
+}
+
+/**
+ * @method isHookSkipped(operation)
+ * @desc checks if a hook is skipped by the NPM_GIT_HOOKS_SKIP environment variable
+ * @param {String} operation
+ * @return {Boolean}
+ */
+function isHookSkipped(operation) {
+  return getList('NPM_GIT_HOOKS_SKIP').some(item => item === operation || ALL.indexOf(item) >= 0);
+}
+
+/**
+ * @method isTaskSkipped(task)
+ * @desc checks if a task is skipped by the NPM_GIT_HOOKS_SKIP_TASKS environment variable
+ * @param {Object} task
+ *  @prop {String} task.name
+ *  @prop {String} task.command
+ * @return {Boolean}
+ */
+function isTaskSkipped(task) {
+  return getList('NPM_GIT_HOOKS_SKIP_TASKS').some(item => item === task.name || item === task.command);
+}
+
+/**
+ * @method getSkipReason(config, identity)
+ * @desc finds the reason to skip running a hook on a package, if any
+ * @param {Object} config
+ *  @prop {Array<String>} config['skip-users'] (glob patterns matched against the git user name and email)
+ *  @prop {Boolean} config['skip-ci'] (skips the hooks in CI environments, true by default)
+ *  @prop {Boolean} config.enabled
+ * @param {Object} identity
+ *  @prop {String} identity.name (git user name)
+ *  @prop {String} identity.email (git user email)
+ * @return {String|null} reason
+ */
+function getSkipReason(config, identity) {
+  // skip-users used to be scaffolded in the restrictions by the install script
+  const users = (config['skip-users'] || []).concat((config.restrictions && config.restrictions['skip-users']) || []);
+  const skippedUser = [identity.name, identity.email]
+    .filter(id => Boolean(id))
+    .find(id => users.some(pattern => utils.globMatch(id, pattern)));
+
+  if (!config.enabled) {
+    return 'Git hooks disabled';
+  } else if (skippedUser) {
+    return `User ${skippedUser} does not need to run tasks`;
+  } else if (config['skip-ci'] !== false && isCI()) {
+    return 'CI environment detected';
+  }
+  return null;
+}
@@ -1,19 +1,28 @@
 const path = require('path');
 const fs = require('fs');
+const minimatch = require('minimatch');
+const Promise = require('bluebird');
 const handlers = require('./handlers');
 
 module.exports = {
   resolve: path.resolve,
   dirname: path.dirname,
   join: path.join,
+  relative: path.relative,
   basename: path.basename,
   symlink: fs.symlinkSync,
   remove: fs.unlinkSync,
+  rename: fs.renameSync,
   isAtRoot, isADirectory, isAFile,
   stripNodeModules,
   read, write, scandir, writeToFile,
   findPackage,
-  buildFilePattern,
+  buildGlobPatterns, buildFileMatcher, globMatch,
+  quote, chunk, prefixLines,
+  createLimiter, killProcessGroup,
+  // Commands run in their own process group, so that the processes they start can be killed with them
+  DETACHED: process.platform !== 'win32',
+  MAX_COMMAND_LENGTH: 8000,
 };
 
 /**
@@ -171,33 +180,143 @@ function findPackage(dir) {
 }
 
 /**
- * @method buildFilePattern(config, relative)
- * @desc build a file pattern according to fileTypes defined in the 'npm-git-hooks' property of package.json
- * @param {Object} config (the config property extracted from package.json)
- *  @prop {Array<String>} restrictions.folders
- *  @prop {Array<String>} restrictions.fileTypes
- *  @prop {Object} config.pkg
- * @return {RegExp} regex
- */
-function buildFilePattern(config) {
-  const relative = config.pkg.relative[config.pkg.relative.length - 1] === '/'
-    ? config.pkg.relative.substr(0, config.pkg.relative.length - 1)
-    : config.pkg.relative;
-  let pattern = `(?:.+${relative}\\/)?`;
-  let done = false;
-  if (config.restrictions) {
-    if (config.restrictions.folders) {
-      const folders = config.restrictions.folders.map(f => {
-        f = f[f.length - 1] === '/' ? f : `${f}/`;
-        return f.replace(/^\.\//, '').replace('/', '\\/');
-      });
-      pattern += `(?:${folders.join(`|`)})`;
-    }
-    if (config.restrictions.fileTypes) {
-      pattern += `.+\\.(?:${config.restrictions.fileTypes.join(`\\s+\\||`)})`;
-      done = true;
+ * @method buildGlobPatterns(restrictions)
+ * @desc builds the list of glob patterns from the restrictions defined in the 'npm-git-hooks' property of package.json
+         > the legacy fileTypes and folders properties are translated to glob patterns
+ * @param {Object} restrictions
+ *  @prop {Array<String>} restrictions.patterns (glob patterns, prefixed with ! for exclusions)
+ *  @prop {Array<String>} restrictions.folders (legacy)
+ *  @prop {Array<String>} restrictions.fileTypes (legacy)
+ * @return {Array<String>} patterns
+ */
+function buildGlobPatterns(restrictions) {
+  restrictions = restrictions || {};
+  const folders = (restrictions.folders || [])
+    .map(f => f.replace(/^\.\//, '').replace(/\/+$/, ''))
+    .filter(f => Boolean(f));
+  const fileTypes = (restrictions.fileTypes || [])
+    .map(t => t.replace(/^\./, ''))
+    .filter(t => Boolean(t));
+  const files = (fileTypes.length) ? fileTypes.map(t => `*.${t}`) : ['*'];
+  const patterns = (folders.length) ? folders.map(f => `${f}/**`) : ['**'];
+  const legacy = (folders.length || fileTypes.length)
+    ? patterns.reduce((list, p) => list.concat(files.map(f => `${p}/${f}`)), [])
+    : [];
+  return legacy.concat(restrictions.patterns || []);
+}
+
+/**
+ * @method globMatch(str, pattern)
+ * @desc checks if a path or a branch name matches a glob pattern
+ * @param {String} str
+ * @param {String} pattern
+ * @return {Boolean}
+ */
+function globMatch(str, pattern) {
+  return minimatch(str, pattern, {dot: true});
+}
+
+/**
+ * @method buildFileMatcher(restrictions, pkg)
+ * @desc builds a function checking if a file matches the restrictions, glob patterns being evaluated relative
+         to the package folder
+ * @param {Object} restrictions (see buildGlobPatterns)
+ * @param {Object} pkg
+ *  @prop {String} pkg.relative (relative path to package.json folder from root)
+ * @return {Function} matcher (takes a path relative to root, returns a Boolean)
+ */
+function buildFileMatcher(restrictions, pkg) {
+  const patterns = buildGlobPatterns(restrictions);
+  const includes = patterns.filter(p => p[0] !== '!');
+  const excludes = patterns.filter(p => p[0] === '!').map(p => p.substr(1));
+  return file => {
+    const relative = path.relative(pkg.relative, file).split(path.sep).join('/');
+    if (!relative || relative.indexOf('../') === 0) return false;
+    return (!includes.length || includes.some(p => globMatch(relative, p))) &&
+      !excludes.some(p => globMatch(relative, p));
+  };
+}
+
+/**
+ * @method quote(arg)
+ * @desc wraps a command line argument in double quotes, escaping the characters interpreted by the shell
+ * @param {String} arg
+ * @return {String}
+ */
+function quote(arg) {
+  return `"${arg.replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+/**
+ * @method chunk(args, maxLength)
+ * @desc splits a list of command line arguments in several lists, each one shorter than maxLength once joined
+ * @param {Array<String>} args
+ * @param {Number} maxLength
+ * @return {Array<Array<String>>} chunks
+ */
+function chunk(args, maxLength) {
+  return args.reduce((chunks, arg) => {
+    const current = chunks[chunks.length - 1];
+    const length = current.reduce((total, a) => total + a.length + 1, 0);
+    if (current.length && length + arg.length > maxLength) {
+      chunks.push([arg]);
+    } else {
+      current.push(arg);
     }
+    return chunks;
+  }, [[]]);
+}
+
+/**
+ * @method prefixLines(str, prefix)
+ * @desc adds a prefix at the beginning of every line of a string
+ * @param {String} str
+ * @param {String} prefix
+ * @return {String}
+ */
+function prefixLines(str, prefix) {
+  const text = str.replace(/\n$/, '');
+  return `${text.split('\n').map(line => `${prefix}${line}`).join('\n')}\n`;
+}
+
+/**
+ * @method createLimiter(concurrency)
+ * @desc creates a function running asynchronous jobs, no more than concurrency at the same time
+ * @param {Number} concurrency
+ * @return {Function} limit(job) (job returns a promise, limit returns a promise of its result)
+ */
+function createLimiter(concurrency) {
+  const queue = [];
+  let running = 0;
+
+  function next() {
+    if (running >= concurrency || !queue.length) return;
+    const job = queue.shift();
+    running++;
+    Promise.try(job.run)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  }
+
+  return run => new Promise((resolve, reject) => {
+    queue.push({run, resolve, reject});
+    next();
+  });
+}
+
+/**
+ * @method killProcessGroup(child)
+ * @desc kills a command started with the detached option and every process it started
+         > without process groups, as on Windows, only the command itself is killed
+ * @param {ChildProcess} child
+ */
+function killProcessGroup(child) {
+  try {
+    process.kill(-child.pid, 'SIGTERM');
+  } catch (e) {
+    child.kill();
   }
-  pattern += (done) ? '' : `.+`;
-  return new RegExp(pattern, 'i');
 }
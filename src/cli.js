@@ -0,0 +1,132 @@
+'use strict';
+
+const fs = require('fs');
+const colors = require('colors');
+const Promise = require('bluebird');
+
+const hooks = require('../lib/hooks');
+const reporters = require('../lib/reporters');
+const main = require('./main');
+const doctor = require('./doctor');
+const uninstall = require('./uninstall');
+const stats = require('./stats');
+
+module.exports = {execute};
+
+/**
+ * @method usage()
+ * @desc prints the command line usage
+ */
+function usage() {
+  console.log(`Usage: npm-git-hooks run <hook> [options] [-- <hook arguments>]
+       npm-git-hooks doctor
+       npm-git-hooks stats [<hook>]
+       npm-git-hooks uninstall
+
+Commands:
+  run <hook>          runs a hook as git would
+  doctor, status      checks the installation in the repository, exits with 1 if there is an error
+  stats [<hook>]      prints the failure rates and durations of the hooks and of the slowest tasks run in the repository
+  uninstall           removes the hooks from the repository and restores the hooks they replaced
+
+Options:
+  --dry-run           prints the projects, matched files and tasks without running anything
+  --package <name>    runs the hook on this project only, by name or relative path (repeatable)
+  --files <files...>  uses these files instead of the ones from git, relative to the repository root
+  --concurrency <n>   runs at most n tasks at the same time (default: NPM_GIT_HOOKS_CONCURRENCY or the number of CPUs)
+  --failure-mode <m>  fail-fast stops everything at the first failure, collect runs every task and prints a table
+  --reporter <r>      writes a report as json:<file> or junit:<file> (repeatable)
+  --affected          runs the hook on the projects owning the files and on the projects depending on them only
+
+Hooks: ${hooks.HOOKS.join(', ')}`);
+}
+
+/**
+ * @method readStdin()
+ * @desc reads the input given by git to the hook, if any
+ * @return {String}
+ */
+function readStdin() {
+  if (process.stdin.isTTY) return '';
+  try {
+    return fs.readFileSync(0).toString();
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * @method parseOptions(argv)
+ * @desc parses the options of the run command
+ * @param {Array<String>} argv (arguments following the hook name)
+ * @return {Object} options
+ * @throws {Error} if an option is unknown or misses its value
+ */
+function parseOptions(argv) {
+  const options = {args: [], dryRun: false, packages: [], files: []};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      options.args = argv.slice(i + 1);
+      break;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--affected') {
+      options.affected = true;
+    } else if (arg === '--package') {
+      if (!argv[i + 1] || argv[i + 1].indexOf('--') === 0) throw new Error('--package needs a project name');
+      options.packages.push(argv[++i]);
+    } else if (arg === '--concurrency') {
+      options.concurrency = parseInt(argv[++i], 10);
+      if (!(options.concurrency > 0)) throw new Error('--concurrency needs a positive number');
+    } else if (arg === '--failure-mode') {
+      options.failureMode = argv[++i];
+      if (main.FAILURE_MODES.indexOf(options.failureMode) < 0) throw new Error(`--failure-mode needs one of ${main.FAILURE_MODES.join(', ')}`);
+    } else if (arg === '--reporter') {
+      options.reporters = (options.reporters || []).concat(argv[++i]);
+      reporters.parse([argv[i] || '']);
+    } else if (arg === '--files') {
+      while (argv[i + 1] && argv[i + 1].indexOf('--') !== 0) {
+        options.files.push(argv[++i]);
+      }
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * @method execute(argv)
+ * @desc entry point of the npm-git-hooks command
+ * @param {Array<String>} argv (command line arguments, without node and script paths)
+ * @return {Promise} exit code of the command
+ */
+function execute(argv) {
+  const command = argv[0];
+  const hook = argv[1];
+  if (command === 'doctor' || command === 'status') {
+    return Promise.resolve(doctor.report(doctor.diagnose()));
+  }
+  if (command === 'stats' && (!hook || hooks.isHook(hook))) {
+    return Promise.resolve(stats.report(hook));
+  }
+  if (command === 'uninstall') {
+    return Promise.resolve(uninstall.uninstall());
+  }
+  if (command !== 'run' || !hooks.isHook(hook)) {
+    if (command) console.error(`${colors.inverse('npm-git-hooks')} ${colors.red.inverse('ERROR')} Unknown command ${argv.slice(0, 2).join(' ')}`);
+    usage();
+    return Promise.resolve(1);
+  }
+  let options;
+  try {
+    options = parseOptions(argv.slice(2));
+  } catch (e) {
+    console.error(`${colors.inverse('npm-git-hooks')} ${colors.red.inverse('ERROR')} ${e.message}`);
+    usage();
+    return Promise.resolve(1);
+  }
+  options.stdin = (options.dryRun) ? '' : readStdin();
+  return main.run(hook, options).then(report => report.code);
+}
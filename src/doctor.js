@@ -0,0 +1,171 @@
+'use strict';
+
+const fs = require('fs');
+const shell = require('shelljs');
+const colors = require('colors');
+
+const git = require('../lib/git');
+const utils = require('../lib/utils');
+const hooks = require('../lib/hooks');
+const main = require('./main');
+
+// Properties of the npm-git-hooks config that are not hooks
+const CONFIG_KEYS = ['enabled', 'skip-users', 'skip-ci', 'restrictions', 'branches', 'protected', 'failureMode', 'affected', 'pkg'];
+
+module.exports = {diagnose, report};
+
+/**
+ * @method problem(level, message, fix)
+ * @desc builds a problem object
+ * @param {String} level (error or warning)
+ * @param {String} message
+ * @param {String} fix (the suggested fix)
+ * @return {Object}
+ */
+function problem(level, message, fix) {
+  return {level, message, fix};
+}
+
+/**
+ * @method checkHooksPath(rootDir)
+ * @desc checks that git looks for the hooks in the .git/hooks folder
+ * @param {String} rootDir
+ * @return {Array<Object>} problems
+ */
+function checkHooksPath(rootDir) {
+  const hooksPath = shell.exec('git config core.hooksPath', {silent: true, cwd: rootDir}).trim();
+  if (hooksPath && utils.resolve(rootDir, hooksPath) !== utils.resolve(git.getCommonDir(), 'hooks')) {
+    return [problem('error', `core.hooksPath is set to ${hooksPath}, git does not run the hooks from .git/hooks`,
+      'git config --unset core.hooksPath')];
+  }
+  return [];
+}
+
+/**
+ * @method checkHook(hooksDir, name, dispatcher)
+ * @desc checks that a hook file is installed, up to date and executable
+ * @param {String} hooksDir
+ * @param {String} name
+ * @param {String} dispatcher (content of the dispatcher script)
+ * @return {Array<Object>} problems
+ */
+function checkHook(hooksDir, name, dispatcher) {
+  const hookFile = utils.resolve(hooksDir, name);
+  const backupFile = hooks.getBackupPath(hookFile);
+  const problems = [];
+  if (!utils.isAFile(hookFile)) {
+    return [problem('error', `${name} hook is not installed`, 'npm install npm-git-hooks')];
+  }
+  if (!hooks.isOwnHook(hookFile)) {
+    return [problem('error', `${name} hook was not installed by npm-git-hooks`,
+      'npm install npm-git-hooks, the existing hook will be kept and chained')];
+  }
+  if (utils.read(hookFile).toString() !== dispatcher) {
+    problems.push(problem('warning', `${name} hook is outdated`, 'npm install npm-git-hooks'));
+  }
+  if (!(fs.statSync(hookFile).mode & 0o111)) {
+    problems.push(problem('error', `${name} hook is not executable`, `chmod +x ${hookFile}`));
+  }
+  if (utils.isAFile(backupFile) && !(fs.statSync(backupFile).mode & 0o111)) {
+    problems.push(problem('warning', `${utils.basename(backupFile)} hook is not executable and is not chained`,
+      `chmod +x ${backupFile}`));
+  }
+  return problems;
+}
+
+/**
+ * @method checkConfig(config)
+ * @desc checks the npm-git-hooks config of a package
+ * @param {Object} config
+ * @return {Array<Object>} problems
+ */
+function checkConfig(config) {
+  const name = config.pkg.name;
+  const problems = Object.keys(config)
+    .filter(key => CONFIG_KEYS.indexOf(key) < 0 && !hooks.isHook(key))
+    .map(key => problem('warning', `Unknown property "${key}" in the config of project ${name}`,
+      `use one of ${CONFIG_KEYS.filter(k => k !== 'pkg').concat(hooks.HOOKS).join(', ')}`));
+  if (config.failureMode && main.FAILURE_MODES.indexOf(config.failureMode) < 0) {
+    problems.push(problem('error', `Invalid failureMode "${config.failureMode}" in the config of project ${name}`,
+      `use one of ${main.FAILURE_MODES.join(', ')}`));
+  }
+  hooks.HOOKS.filter(hook => hook !== 'commit-msg' && config[hook]).forEach(hook => {
+    try {
+      main.getTasks(config, hook);
+    } catch (e) {
+      problems.push(problem('error', `${hook} of project ${name}: ${e.message}`, 'fix the task in package.json'));
+    }
+  });
+  return problems;
+}
+
+/**
+ * @method checkPackages()
+ * @desc checks every package of the repository and its config
+ * @return {Array<Object>} problems
+ */
+function checkPackages() {
+  const packages = main.findAllPackages();
+  if (!packages.length) {
+    return [problem('error', 'No package.json found in the repository', 'npm init')];
+  }
+  const runner = utils.join('node_modules', '.bin', 'npm-git-hooks');
+  const installed = packages.filter(pkg => utils.isAFile(utils.resolve(pkg.absolute, runner)));
+  const configs = main.loadConfigs(packages);
+  const problems = [];
+  if (!installed.length) {
+    problems.push(problem('error', `${runner} was not found in any project, the hooks cannot run`, 'npm install'));
+  }
+  if (!configs.length) {
+    problems.push(problem('warning', 'No project has an npm-git-hooks config, the hooks do nothing',
+      'add an "npm-git-hooks" property to package.json'));
+  }
+  configs
+    .filter(config => !utils.isADirectory(utils.resolve(config.pkg.absolute, 'node_modules')))
+    .forEach(config => problems.push(problem('warning', `Project ${config.pkg.name} has no node_modules folder, its tasks may fail`,
+      `cd ${config.pkg.relative} && npm install`)));
+  return configs.reduce((list, config) => list.concat(checkConfig(config)), problems);
+}
+
+/**
+ * @method diagnose()
+ * @desc inspects the repository, the installed hooks and every package
+ * @return {Array<Object>} problems
+ *** @prop {String} problem.level (error or warning)
+ *** @prop {String} problem.message
+ *** @prop {String} problem.fix
+ */
+function diagnose() {
+  let rootDir;
+  try {
+    rootDir = git.getRootDir();
+  } catch (e) {
+    return [problem('error', 'No git repository found', 'git init')];
+  }
+  // Linked worktrees use the hooks of the main one
+  const hooksDir = utils.resolve(git.getCommonDir(), 'hooks');
+  const dispatcher = utils.read(hooks.DISPATCHER).toString();
+  return checkHooksPath(rootDir)
+    .concat(hooks.HOOKS.reduce((list, name) => list.concat(checkHook(hooksDir, name, dispatcher)), []))
+    .concat(checkPackages());
+}
+
+/**
+ * @method report(problems)
+ * @desc prints the problems found with their suggested fix
+ * @param {Array<Object>} problems
+ * @return {Number} exit code (1 if there is an error)
+ */
+function report(problems) {
+  problems.forEach(p => {
+    const level = (p.level === 'error') ? colors.red.inverse('ERROR') : colors.yellow.inverse('WARN');
+    console.log(`${colors.inverse('npm-git-hooks')} ${level} ${p.message}\n    fix: ${p.fix}`);
+  });
+  const errors = problems.filter(p => p.level === 'error').length;
+  if (!problems.length) {
+    console.log(`${colors.inverse('npm-git-hooks')} ${colors.green.inverse('OK')} The hooks are installed and ready to run`);
+  } else {
+    console.log(`${colors.inverse('npm-git-hooks')} ${errors} error(s), ${problems.length - errors} warning(s)`);
+  }
+  return errors ? 1 : 0;
+}
@@ -3,6 +3,7 @@
 const git = require('../lib/git');
 const utils = require('../lib/utils');
 const handlers = require('../lib/handlers');
+const hooks = require('../lib/hooks');
 
 let gitHooksDir;
 try {
@@ -19,30 +20,28 @@ function isSelfInstall() {
 
 /**
  * @method getHooks()
- * @desc gets the hooks files stored in hooks directory
+ * @desc gets the hooks to install, every hook being a copy of the dispatcher script stored in hooks directory
  * @param {Array<String>} hooksNames
  * @return {Array<Object>} a list of hooks path and name
  *** @prop {String} hook.path (absolute path of the hook file)
  *** @prop {String} hook.name (name of the hook)
  */
 function getHooks(hooksNames) {
-  const sourceHooksDir = utils.resolve(__dirname, '..', 'hooks');
-  try {
-    const hooksFiles = utils.read(sourceHooksDir);
-    return hooksFiles.filter(f => hooksNames.indexOf(f) >= 0).map(hook => {
-      return {
-        path: utils.resolve(sourceHooksDir, hook),
-        name: utils.basename(hook),
-      };
-    });
-  } catch (e) {
-    throw new handlers.InstallError(`npm-git-hooks: ERROR! No hooks were found in ${utils.dirname(sourceHooksDir)}`);
+  if (!utils.isAFile(hooks.DISPATCHER)) {
+    throw new handlers.InstallError(`npm-git-hooks: ERROR! No hooks were found in ${utils.dirname(hooks.DISPATCHER)}`);
   }
+  return hooksNames.map(name => {
+    return {
+      path: hooks.DISPATCHER,
+      name,
+    };
+  });
 }
 
 /**
  * @method installHook(hook)
  * @desc installs a source hook into .git/hooks directory
+         > a hook that was not installed by npm-git-hooks is kept aside and chained from our hook
  * @param {Object} hook
  *  @prop {String} hook.name
  *  @prop {String} hook.path
@@ -56,13 +55,24 @@ function installHook(hook) {
   const destHookFile = utils.resolve(gitHooksDir, hook.name);
   console.log(`npm-git-hooks: INFO: Found '${hook.name}' git hook, installing...`);
 
+  if (utils.isAFile(destHookFile) && !hooks.isOwnHook(destHookFile)) {
+    const backupFile = hooks.getBackupPath(destHookFile);
+    // Another tool rewrote the hook after a first install, moving it aside would overwrite the kept hook
+    if (utils.isAFile(backupFile)) {
+      console.warn(`npm-git-hooks: WARN: Cannot keep existing '${hook.name}' hook, ${backupFile} already exists, leaving it as is`);
+      return;
+    }
+    console.log(`npm-git-hooks: INFO: Existing '${hook.name}' git hook moved to ${backupFile}, it will run before npm-git-hooks`);
+    utils.rename(destHookFile, backupFile);
+  }
+
   utils.write(destHookFile, hook.path);
 }
 
-(function(hooks) {
+(function(configHooks) {
   try {
     // Get the hooks files path
-    const hooksFiles = getHooks(hooks);
+    const hooksFiles = getHooks(hooks.HOOKS);
     // Get the package.json path
     const pkgPath = utils.findPackage();
     // Get the package.json object
@@ -71,12 +81,12 @@ function installHook(hook) {
       console.log(`npm-git-hooks: INFO: Building empty configuration object in package.json`);
       pkg['npm-git-hooks'] = {};
       pkg['npm-git-hooks'].enabled = true;
+      pkg['npm-git-hooks']['skip-users'] = [];
       pkg['npm-git-hooks'].restrictions = {
         fileTypes: [],
         folders: [],
-        'skip-users': [],
       };
-      hooks.forEach(hook => {
+      configHooks.forEach(hook => {
         if (hook === 'commit-msg') {
           pkg['npm-git-hooks'][hook] = "";
         } else {
@@ -1,15 +1,34 @@
 'use strict';
 
-const shell = require('shelljs');
+const os = require('os');
+const EventEmitter = require('events');
+const childProcess = require('child_process');
 const colors = require('colors');
 
 const handlers = require('../lib/handlers');
+const skip = require('../lib/skip');
 const utils = require('../lib/utils');
 const git = require('../lib/git');
+const commitMsg = require('../lib/commit-msg');
+const reporters = require('../lib/reporters');
+const history = require('../lib/history');
+const cache = require('../lib/cache');
+const checks = require('../lib/checks');
+const affected = require('../lib/affected');
 const Promise = require('bluebird');
-const user = git.getUsername();
+const FILES_PLACEHOLDER = '{files}';
+// Sources of the commit message given to prepare-commit-msg for which no ticket is added
+const SKIPPED_MESSAGE_SOURCES = ['merge', 'squash', 'commit'];
+// Hooks running their tasks on the files changed in the working tree by git
+const CHANGE_HOOKS = ['post-checkout', 'post-merge'];
+// Number of changed files listed in the notice of post-checkout and post-merge
+const MAX_LISTED_FILES = 10;
+// Hooks given the path of the commit message file as first argument
+const MESSAGE_HOOKS = ['applypatch-msg', 'prepare-commit-msg', 'commit-msg'];
+// fail-fast stops every task at the first failure, collect runs them all and prints a table of the results
+const FAILURE_MODES = ['fail-fast', 'collect'];
 
-module.exports = {run};
+module.exports = {run, findAllPackages, loadConfigs, getTasks, FAILURE_MODES};
 
 /**
  * @method findAllPackages(repoPath)
@@ -31,6 +50,32 @@ function findAllPackages() {
     });
 }
 
+/**
+ * @method loadConfigs(packages, errors)
+ * @desc gets the configuration objects of the packages, leaving out the packages without configuration
+ * @param {Array<Object>} packages
+ * @param {Array<Error>} errors (optional, collects the errors of the packages without configuration instead of
+ printing them)
+ * @return {Array<Object>} configs
+ */
+function loadConfigs(packages, errors) {
+  return packages
+    .map(pkg => {
+      try {
+        return mapPackageConfig(pkg);
+      } catch (e) {
+        if (!(e instanceof handlers.NoConfigError)) throw e;
+        if (errors) {
+          errors.push(e);
+        } else {
+          console.log(e.message);
+        }
+        return null;
+      }
+    })
+    .filter(config => Boolean(config));
+}
+
 /**
  * @callback mapPackageConfig(pkg)
  * @desc get the configuration object from package.json for npm-git-hooks tasks and fileTypes
@@ -49,70 +94,235 @@ function mapPackageConfig(pkg) {
 }
 
 /**
-* @callback skipPackage(config)
-* @desc checks if there is a reason to skip running hook on a package
-* @param {Object} config
-*  @prop {Array} config['skip-users']
-*  @prop {Boolean} config.enabled
-*  @prop {Object} config.pkg
-*  @prop {String} config.pkg.name
-* @return {Boolean}
-*/
-function skipPackage(config) {
-  if (config['skip-users'].indexOf(user) >= 0) {
-    console.log(`${colors.inverse('npm-git-hooks')} ${colors.cyan.inverse('SKIP')}
-    User ${user} does not need to run tasks for project ${config.pkg.name}, moving on...`);
-    return false;
-  } else if (!config.enabled) {
-    console.log(`${colors.inverse('npm-git-hooks')} ${colors.cyan.inverse('SKIP')}
-    Git hooks disabled for project ${config.pkg.name}, moving on...`);
-    return false;
-  }
-  return true;
+ * @method mapBranchConfig(config, branch)
+ * @desc applies the rules of the branches patterns matching the current branch to the package config
+         > the properties of a matching rule replace the ones of the package config, in the order of the rules
+ * @param {Object} config
+ *  @prop {Object} config.branches (rules keyed by branch glob patterns)
+ * @param {String} branch
+ * @return {Object} config
+ */
+function mapBranchConfig(config, branch) {
+  const rules = config.branches || {};
+  return Object.keys(rules)
+    .filter(pattern => utils.globMatch(branch, pattern))
+    .reduce((resolved, pattern) => Object.assign(resolved, rules[pattern]), Object.assign({}, config, {branch}));
 }
 
 /**
- * @callback fileMatch(config)
- * @desc checks if files from index matches the restrictions from config
+ * @method isConfigured(config, operation)
+ * @desc checks if a package has something to do in a hook: tasks, commit message rules, a ticket to add to the
+         commit message, pushed commits to check or protected branches
  * @param {Object} config
  * @param {String} operation
  * @return {Boolean}
  */
-function fileMatch(config, operation) {
-  if (operation === 'pre-push' || operation === 'pre-commit') {
-    const filePattern = utils.buildFilePattern(config);
-    let fileList = [];
+function isConfigured(config, operation) {
+  const hook = config[operation];
+  const tasks = Array.isArray(hook) ? hook : (hook && hook.tasks) || [];
+  if (operation === 'commit-msg') return Boolean(hook);
+  return tasks.length > 0 ||
+    Boolean(operation === 'prepare-commit-msg' && hook && hook.ticket) ||
+    Boolean(operation === 'pre-push' && hook && hook.commits) ||
+    Boolean((operation === 'pre-commit' || operation === 'pre-push') && config.protected && config.protected.length);
+}
+
+/**
+ * @method checkProtectedBranches(config, operation)
+ * @desc refuses commits on a protected branch and pushes to a protected branch
+ * @param {Object} config
+ *  @prop {Array<String>} config.protected (glob patterns of the protected branches)
+ *  @prop {String} config.branch (the current branch)
+ * @param {String} operation
+ * @throws {ProtectedBranchError} if the operation targets a protected branch
+ */
+function checkProtectedBranches(config, operation) {
+  const patterns = config.protected || [];
+  if (!patterns.length) return;
+
+  let branches = [];
+  if (operation === 'pre-commit') {
+    branches = [config.branch];
+  } else if (operation === 'pre-push') {
     try {
-      if (operation === 'pre-commit') {
-        fileList = git.getStagedFiles()
-      } else if (operation === 'pre-push') {
-        fileList = git.getCommitedFiles()
-      }
+      branches = git.getPushedRefs(config.hook.stdin, config.hook.args[0])
+        .filter(ref => ref.remoteRef.indexOf('refs/heads/') === 0)
+        .map(ref => ref.remoteRef.replace('refs/heads/', ''));
     } catch (e) {
-      console.log(e.message);
+      if (!(e instanceof handlers.NoCommitsError)) throw e;
     }
-    return fileList.some(file => filePattern.exec(file.toString().trim()));
   }
-  return true;
+  const targets = branches.filter(branch => patterns.some(pattern => utils.globMatch(branch, pattern)));
+  if (targets.length) {
+    throw new handlers.ProtectedBranchError(targets, operation, config.pkg.name);
+  }
+}
+
+/**
+ * @method skipPackages(configs, emitter)
+ * @desc removes the packages that have a reason to skip running the hook, logging every reason once
+ * @param {Array<Object>} configs
+ * @param {EventEmitter} emitter (emits packageSkipped for every skipped package)
+ * @return {Object} result
+ *** @prop {Array<Object>} result.configs (the packages to run the hook on)
+ *** @prop {Object} result.skipped (the names of the skipped packages, keyed by reason)
+ */
+function skipPackages(configs, emitter) {
+  const identity = {name: git.getUsername(), email: git.getUserEmail()};
+  const skipped = {};
+  const enabled = configs.filter(config => {
+    const reason = skip.getSkipReason(config, identity);
+    if (reason) {
+      skipped[reason] = (skipped[reason] || []).concat(config.pkg.name);
+      emitter.emit('packageSkipped', {project: config.pkg.name, reason});
+    }
+    return !reason;
+  });
+  Object.keys(skipped).forEach(reason => {
+    console.log(`${colors.inverse('npm-git-hooks')} ${colors.cyan.inverse('SKIP')} ${reason} for ${skipped[reason].join(', ')}, moving on...`);
+  });
+  return {configs: enabled, skipped};
+}
+
+/**
+ * @method getHookFiles(hook, operation)
+ * @desc lists the files a hook works on: the files given to run, the staged files, the pushed files, or the files
+         changed by a checkout or a merge
+ * @param {Object} hook
+ * @param {String} operation
+ * @return {Array<String>|null} relative paths from rootDir, null for the operations that do not work on a file list
+ */
+function getHookFiles(hook, operation) {
+  if (!hook.files && operation !== 'pre-push' && operation !== 'pre-commit' && CHANGE_HOOKS.indexOf(operation) < 0) {
+    return null;
+  }
+  let fileList = [];
+  try {
+    if (hook.files) {
+      fileList = hook.files;
+    } else if (operation === 'pre-commit') {
+      fileList = git.getStagedFiles()
+    } else if (operation === 'pre-push') {
+      fileList = git.getPushedFiles(hook.stdin, hook.args[0])
+        .reduce((files, ref) => files.concat(ref.files.filter(f => files.indexOf(f) < 0)), []);
+    } else if (operation === 'post-checkout') {
+      fileList = git.getCheckoutFiles(hook.args[0], hook.args[1]);
+    } else if (operation === 'post-merge') {
+      fileList = git.getMergeFiles(hook.args[0] === '1');
+    }
+  } catch (e) {
+    console.log(e.message);
+  }
+  return fileList.map(file => file.toString().trim());
+}
+
+/**
+ * @callback mapMatchedFiles(config, files)
+ * @desc lists the files of the hook matching the restrictions from config and stores them in config.files
+         > config.files is null for operations that do not work on a file list, unless a file list is given to run
+ * @param {Object} config
+ * @param {Array<String>|null} files (the files of the hook, from getHookFiles)
+ * @return {Object} config
+ */
+function mapMatchedFiles(config, files) {
+  config.files = (files) ? files.filter(utils.buildFileMatcher(config.restrictions, config.pkg)) : null;
+  return config;
+}
+
+/**
+ * @method selectAffectedPackages(configs, files, operation, packages, all)
+ * @desc keeps the matched files owned by the packages setting affected, a file being owned by the package of its
+         nearest folder
+         > such a package owning no matched file runs the hook without file list if it depends on a package owning a
+         changed file, directly or not, and is skipped otherwise
+ * @param {Array<Object>} configs (with their matched files)
+ * @param {Array<String>|null} files (the files of the hook, from getHookFiles)
+ * @param {String} operation
+ * @param {Array<Object>} packages (every package of the repository)
+ * @param {Boolean} all (selects every package, whether it sets affected or not)
+ * @return {Array<Object>} configs
+ */
+function selectAffectedPackages(configs, files, operation, packages, all) {
+  const selected = configs.filter(config => all || config.affected === true);
+  if (!files || !selected.length) return configs;
+  const result = affected.getAffectedPackages(files, packages);
+  return configs.map(config => {
+    if (selected.indexOf(config) < 0) return config;
+    const owned = result.files[config.pkg.relative] || [];
+    const matched = config.files.filter(file => owned.indexOf(file) >= 0);
+    const dependencies = result.dependents[config.pkg.relative];
+    if (!matched.length && dependencies) {
+      console.log(`${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('INFO')} ${colors.magenta(operation)} Project ${config.pkg.name} is affected by the changes of ${dependencies.join(', ')}`);
+      return Object.assign(config, {files: null, affectedBy: dependencies});
+    }
+    return Object.assign(config, {files: matched});
+  });
+}
+
+/**
+ * @method needsFiles(task)
+ * @desc checks if a task only makes sense on some files, because of its restrictions or of the {files} placeholder
+ * @param {Object} task
+ * @return {Boolean}
+ */
+function needsFiles(task) {
+  return Boolean(task.patterns || task.fileTypes || task.folders) ||
+    Boolean(task.command && task.command.indexOf(FILES_PLACEHOLDER) >= 0);
+}
+
+/**
+ * @method printChangedFiles(config, operation)
+ * @desc prints the files of a package changed by a checkout or a merge
+ * @param {Object} config
+ * @param {String} operation
+ */
+function printChangedFiles(config, operation) {
+  const files = config.files.map(file => utils.relative(config.pkg.relative, file));
+  const more = files.length - MAX_LISTED_FILES;
+  console.log(`${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('INFO')} ${colors.magenta(operation)} ${files.length} file(s) changed in project ${config.pkg.name}: ` +
+    `${files.slice(0, MAX_LISTED_FILES).join(', ')}${(more > 0) ? ` and ${more} more` : ''}`);
+}
+
+/**
+ * @callback fileMatch(config)
+ * @desc checks if files from index matches the restrictions from config
+ * @param {Object} config
+ *  @prop {Array<String>|null} config.files
+ * @return {Boolean}
+ */
+function fileMatch(config) {
+  return !config.files || config.files.length > 0;
 }
 
 /**
  * @method checkCommitMsg(config)
- * @desc checks the commit message against a pattern from config
+ * @desc rewrites the commit message if needed and checks it against the rules from config
  * @param {Object} config
- *  @prop {String} config['commit-msg']
+ *  @prop {String|Object} config['commit-msg'] (a pattern or an object of rules)
+ *  @prop {Object} config.hook (the first hook argument is the path of the commit message file)
  * @return {Promise}
  */
 function checkCommitMsg(config) {
   if (config['commit-msg']) {
-    const message = git.getCommitMessage();
-    const pattern = new RegExp(config['commit-msg']);
+    const file = config.hook.args[0];
+    let message = git.getCommitMessage(file);
     return new Promise((resolve, reject) => {
-      if (pattern.test(message)) {
-        console.log(`${colors.inverse('npm-git-hooks')} ${colors.green.inverse('SUCCESS')} ${colors.magenta('commit-msg')} Commit message matches given pattern`);
+      const rewritten = commitMsg.rewrite(message, config['commit-msg'], {
+        user: git.getUsername(),
+        email: git.getUserEmail(),
+        branch: git.getBranch(),
+      });
+      if (rewritten !== message) {
+        console.log(`${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('INFO')} ${colors.magenta('commit-msg')} Commit message rewritten for project ${config.pkg.name}`);
+        git.writeCommitMessage(rewritten, file);
+        message = rewritten;
+      }
+      const failures = commitMsg.validate(message, config['commit-msg']);
+      if (!failures.length) {
+        console.log(`${colors.inverse('npm-git-hooks')} ${colors.green.inverse('SUCCESS')} ${colors.magenta('commit-msg')} Commit message follows the given rules`);
         resolve(['commit-msg']);
       } else {
-        reject(new handlers.RunTaskError('commit-msg', config.pkg.name));
+        reject(new handlers.CommitMsgError(config.pkg.name, failures));
       }
     });
   } else {
@@ -121,66 +331,865 @@ function checkCommitMsg(config) {
 }
 
 /**
- * @method runTask(task, pkg)
+ * @method prepareCommitMsg(config)
+ * @desc adds the ticket ID found in the branch name to the commit message being prepared
+         > merges, squashes and amends are left untouched
+ * @param {Object} config
+ *  @prop {Object} config['prepare-commit-msg'].ticket (the branch pattern and message template)
+ *  @prop {Object} config.hook (the hook arguments are the message file path, the message source and a commit sha)
+ */
+function prepareCommitMsg(config) {
+  const hook = config['prepare-commit-msg'];
+  const options = hook && hook.ticket;
+  if (!options || !options.branch) return;
+
+  const file = config.hook.args[0];
+  const source = config.hook.args[1];
+  if (SKIPPED_MESSAGE_SOURCES.indexOf(source) >= 0) {
+    console.log(`${colors.inverse('npm-git-hooks')} ${colors.cyan.inverse('SKIP')} ${colors.magenta('prepare-commit-msg')} No ticket added to a ${source} commit message`);
+    return;
+  }
+  const message = git.getCommitMessage(file);
+  const prepared = commitMsg.addTicket(message, options, git.getBranch());
+  if (prepared !== message) {
+    console.log(`${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('INFO')} ${colors.magenta('prepare-commit-msg')} Ticket from branch ${git.getBranch()} added to the commit message`);
+    git.writeCommitMessage(prepared, file);
+  }
+}
+
+/**
+ * @method checkPushedCommits(config)
+ * @desc checks every commit about to be pushed against the commit-msg rules and the forbidden subjects from config
+ * @param {Object} config
+ *  @prop {Object} config['pre-push'].commits
+ *   @prop {Boolean} commits['commit-msg'] (checks the messages against the commit-msg rules)
+ *   @prop {Array<String>} commits.forbidden (patterns of subjects that cannot be pushed)
+ *  @prop {Object} config.hook (the first hook argument is the remote name, the pushed refs are given on stdin)
+ * @throws {PushedCommitsError} if some commits do not follow the rules
+ */
+function checkPushedCommits(config) {
+  const hook = config['pre-push'];
+  const options = hook && hook.commits;
+  if (!options) return;
+
+  let commits = [];
+  try {
+    commits = git.getPushedCommits(config.hook.stdin, config.hook.args[0]);
+  } catch (e) {
+    if (!(e instanceof handlers.NoCommitsError)) throw e;
+  }
+  const rules = (options['commit-msg'] && config['commit-msg']) || null;
+  const forbidden = (options.forbidden || []).map(pattern => new RegExp(pattern));
+  const offenders = commits
+    .map(commit => {
+      const failures = forbidden
+        .filter(pattern => pattern.test(commit.subject))
+        .map(pattern => ({rule: 'forbidden', message: `subject matches ${pattern.source}`}))
+        .concat(rules ? commitMsg.validate(commit.message, rules) : []);
+      return Object.assign({failures}, commit);
+    })
+    .filter(commit => commit.failures.length);
+  if (offenders.length) {
+    throw new handlers.PushedCommitsError(config.pkg.name, offenders);
+  }
+  console.log(`${colors.inverse('npm-git-hooks')} ${colors.green.inverse('SUCCESS')} ${colors.magenta('pre-push')} ${commits.length} pushed commits follow the rules of project ${config.pkg.name}`);
+}
+
+/**
+ * @callback mapTask(task)
+ * @desc normalizes a task from package.json into a task object
+ * @param {String|Object} task (a shell command or a task object)
+ *  @prop {String} task.command (the shell command to run)
+ *  @prop {String} task.plugin (the JavaScript module to run instead of a command, relative to the package folder)
+ *  @prop {String} task.check (a built-in check to run instead of a command)
+ *  @prop {Object} task.options (optional, the options given to the plugin or check)
+ *  @prop {String} task.name (optional, the name used to skip the task, defaults to the command or plugin)
+ *  @prop {Array<String>} task.patterns (optional, restricts the task to some glob patterns)
+ *  @prop {Array<String>} task.fileTypes (optional, restricts the task to some file types)
+ *  @prop {Array<String>} task.folders (optional, restricts the task to some folders)
+ *  @prop {String} task.cwd (optional, working directory relative to the package folder)
+ *  @prop {Object} task.env (optional, environment variables added to the task process)
+ *  @prop {Number} task.timeout (optional, maximum duration of the task in milliseconds)
+ *  @prop {Boolean} task.allowFailure (optional, a failing task does not stop the hook)
+ * @return {Object} task
+ * @throws {InvalidTaskError} if the task has no command, plugin nor known check
+ */
+function mapTask(task) {
+  task = (typeof task === 'string') ? {command: task} : task;
+  const isValid = value => typeof value === 'string' && Boolean(value.trim());
+  if (!task || (!isValid(task.command) && !isValid(task.plugin) && !checks.isCheck(task.check))) {
+    throw new handlers.InvalidTaskError(task);
+  }
+  const isCheck = !task.plugin && checks.isCheck(task.check);
+  return {
+    command: (task.plugin || isCheck) ? null : task.command,
+    plugin: task.plugin || null,
+    check: (isCheck) ? task.check : null,
+    options: task.options || {},
+    name: task.name || task.plugin || (isCheck && task.check) || task.command,
+    patterns: task.patterns,
+    fileTypes: task.fileTypes,
+    folders: task.folders,
+    cwd: task.cwd || '.',
+    env: task.env || {},
+    timeout: task.timeout || 0,
+    allowFailure: Boolean(task.allowFailure),
+    // null when the task does not say, the hook deciding whether it is cached
+    cache: (typeof task.cache === 'boolean') ? task.cache : null,
+  };
+}
+
+/**
+ * @method getTasks(config, operation)
+ * @desc gets the list of tasks defined for an operation
+         > the operation can be defined as a list of tasks or as an object with a tasks property
+ * @param {Object} config
+ * @param {String} operation
+ * @return {Array<Object>} tasks
+ */
+function getTasks(config, operation) {
+  const hook = config[operation];
+  const tasks = Array.isArray(hook) ? hook : (hook && hook.tasks) || [];
+  const cached = Boolean(hook && hook.cache);
+  return tasks.map(mapTask).map(task => Object.assign(task, {cache: (task.cache === null) ? cached : task.cache}));
+}
+
+/**
+ * @method getTaskFiles(task, pkg, files)
+ * @desc filters the files matched by the package restrictions with the task restrictions
+ * @param {Object} task
+ * @param {Object} pkg
+ * @param {Array<String>|null} files
+ * @return {Array<String>|null} files
+ */
+function getTaskFiles(task, pkg, files) {
+  if (!files || (!task.fileTypes && !task.folders && !task.patterns)) {
+    return files;
+  }
+  const fileMatcher = utils.buildFileMatcher({
+    fileTypes: task.fileTypes,
+    folders: task.folders,
+    patterns: task.patterns,
+  }, pkg);
+  return files.filter(fileMatcher);
+}
+
+/**
+ * @method buildCommands(command, cwd, files)
+ * @desc replaces the {files} placeholder of a command with the matched files, relative to the task working directory
+         > the file list is split in several commands if it would exceed the command line length limit
+ * @param {String} command
+ * @param {String} cwd (absolute path of the task working directory)
+ * @param {Array<String>|null} files (relative paths from rootDir)
+ * @return {Array<String>} commands
+ */
+function buildCommands(command, cwd, files) {
+  if (command.indexOf(FILES_PLACEHOLDER) < 0) {
+    return [command];
+  }
+  const root = git.getRootDir();
+  const args = (files || []).map(file => utils.quote(utils.relative(cwd, utils.resolve(root, file))));
+  const maxLength = utils.MAX_COMMAND_LENGTH - command.length;
+  const chunks = (args.length) ? utils.chunk(args, maxLength) : [[]];
+  return chunks.map(chunk => command.split(FILES_PLACEHOLDER).join(chunk.join(' ')));
+}
+
+/**
+ * @method getHookEnv(hook)
+ * @desc builds the environment variables giving the hook information to the tasks
+ * @param {Object} hook
+ *  @prop {String} hook.name
+ *  @prop {Array<String>} hook.args
+ * @return {Object} env
+ */
+function getHookEnv(hook) {
+  return {
+    NPM_GIT_HOOKS_HOOK: hook.name,
+    NPM_GIT_HOOKS_ARGS: hook.args.join(' '),
+  };
+}
+
+/**
+ * @method runTask(task, config, operation)
  * @desc runs a task in the package.json folder they are defined in
- * @param {String} task (the task to be run)
- * @param {Object} pkg (the package.json info object)
- *  @prop {String} pkg.name
- *  @prop {String} pkg.absolute
+ * @param {Object} task (the task object to be run)
+ * @param {Object} config
+ *  @prop {Object} config.pkg (the package.json info object)
+ *  @prop {Array<String>|null} config.files (the files matching the package restrictions)
+ *  @prop {Object} config.hook (the hook name and arguments)
+ *  @prop {Object} config.scheduler (the concurrency limiter, output mode and results shared by all the packages)
  * @param {String} operation
  * @return {Promise}
  */
-function runTask(task, pkg, operation) {
+function runTask(task, config, operation) {
+  const pkg = config.pkg;
+  const prefix = getOutputPrefix(config);
+  const result = addResult(config, task, 'success');
+  const start = Date.now();
+  const taskFiles = getTaskFiles(task, pkg, config.files);
+  result.files = taskFiles;
+  // Every taskEnd follows a taskStart, the skipped and cached tasks included
+  config.emitter.emit('taskStart', {project: pkg.name, task: task.name, operation, files: taskFiles});
+  if (config.affectedBy && needsFiles(task)) {
+    console.log(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.cyan.inverse('SKIP')} ${colors.magenta(operation)} "${task.name}" No file of the project changed, moving on...`);
+    Object.assign(result, {status: 'skipped', code: null});
+    config.emitter.emit('taskEnd', result);
+    return Promise.resolve(pkg);
+  }
+  if (taskFiles && !taskFiles.length) {
+    console.log(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.cyan.inverse('SKIP')} ${colors.magenta(operation)} "${task.name}" No file matches the task restrictions, moving on...`);
+    Object.assign(result, {status: 'skipped', code: null});
+    config.emitter.emit('taskEnd', result);
+    return Promise.resolve(pkg);
+  }
+  const options = {
+    cwd: utils.resolve(pkg.absolute, task.cwd),
+    env: Object.assign({}, process.env, getHookEnv(config.hook), task.env),
+    timeout: task.timeout,
+  };
+  const commands = (task.command === null) ? [] : buildCommands(task.command, options.cwd, taskFiles);
+  const key = (task.cache && cache.isEnabled()) ? getCacheKey(task, config, commands) : null;
+  if (key && cache.isCached(key)) {
+    console.log(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.green.inverse('CACHED')} ${colors.magenta(operation)} "${task.name}" already succeeded with the same files, moving on...`);
+    Object.assign(result, {status: 'cached', code: 0});
+    config.emitter.emit('taskEnd', result);
+    return Promise.resolve(pkg);
+  }
+  const running = (task.command === null)
+    ? config.scheduler.limit(() => runPlugin(task, config, operation, taskFiles))
+    : Promise.each(commands, command => config.scheduler.limit(() => runCommand(command, options, config, operation, task)));
+  return running
+    .then(() => {
+      if (key) cache.save(key, {project: pkg.name, task: task.name});
+      return pkg;
+    })
+    .catch(handlers.RunTaskError, e => {
+      Object.assign(result, {status: 'failed', code: e.code, timeout: e.timeout});
+      if (!task.allowFailure) throw e;
+      result.status = 'allowed failure';
+      console.log(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('WARN')} ${colors.magenta(operation)} "${task.name}" failed but is allowed to fail, moving on...\n`);
+      return pkg;
+    })
+    .catch(handlers.TaskAbortedError, e => {
+      Object.assign(result, {status: 'aborted', code: null});
+      throw e;
+    })
+    .finally(() => {
+      result.duration = Date.now() - start;
+      config.emitter.emit('taskEnd', result);
+    });
+}
+
+/**
+ * @method getCacheKey(task, config, commands)
+ * @desc computes the cache key of a task from the content of the package files matching its restrictions, its
+         commands and its config
+         > the key does not depend on the hook, so that a task passing in pre-commit is cached in pre-push
+ * @param {Object} task
+ * @param {Object} config
+ * @param {Array<String>} commands (the commands of the task, with their files, none for a plugin)
+ * @return {String}
+ */
+function getCacheKey(task, config, commands) {
+  const pkg = config.pkg;
+  const rootDir = git.getRootDir();
+  const packageFiles = git.listFiles(pkg.relative).filter(utils.buildFileMatcher(config.restrictions, pkg));
+  const files = getTaskFiles(task, pkg, packageFiles).map(file => [file, cache.hashFile(utils.resolve(rootDir, file))]);
+  return cache.getKey({
+    project: pkg.relative,
+    restrictions: config.restrictions || null,
+    task: {
+      plugin: task.plugin,
+      check: task.check,
+      options: task.options,
+      patterns: task.patterns,
+      fileTypes: task.fileTypes,
+      folders: task.folders,
+      cwd: task.cwd,
+      env: task.env,
+    },
+    commands,
+    files,
+  });
+}
+
+/**
+ * @method addResult(config, task, status)
+ * @desc adds the result of a task to the results of the hook
+ * @param {Object} config
+ * @param {Object|String} task (the task object, or the name of the step that ran for the package)
+ * @param {String} status (success, cached, failed, allowed failure, skipped or aborted)
+ * @return {Object} result (updated once the task is over)
+ */
+function addResult(config, task, status) {
+  const result = {
+    project: config.pkg.name,
+    path: config.pkg.relative,
+    task: (typeof task === 'string') ? task : task.name,
+    status,
+    duration: 0,
+    code: (status === 'success') ? 0 : null,
+    timeout: null,
+    files: null,
+  };
+  config.scheduler.results.push(result);
+  return result;
+}
+
+/**
+ * @method abortRun(scheduler)
+ * @desc kills the running tasks and prevents the queued ones from starting
+ * @param {Object} scheduler
+ */
+function abortRun(scheduler) {
+  scheduler.aborted = true;
+  scheduler.running.slice().forEach(abort => abort());
+}
+
+/**
+ * @method abortOnSignal(scheduler)
+ * @desc kills the running tasks when the hook is interrupted, as they do not get the signals sent to the terminal
+         from their own process group, then raises the signal again once the listeners are removed
+ * @param {Object} scheduler
+ * @return {Function} release (removes the listeners)
+ */
+function abortOnSignal(scheduler) {
+  const onSignal = signal => {
+    release();
+    abortRun(scheduler);
+    process.kill(process.pid, signal);
+  };
+  function release() {
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+  }
+  process.prependListener('SIGINT', onSignal);
+  process.prependListener('SIGTERM', onSignal);
+  return release;
+}
+
+/**
+ * @method getOutputPrefix(config)
+ * @desc gets the prefix of the lines printed for a package, empty unless the output is buffered
+ * @param {Object} config
+ * @return {String}
+ */
+function getOutputPrefix(config) {
+  return (config.scheduler.buffered) ? `${colors.cyan(`[${config.pkg.name}]`)} ` : '';
+}
+
+/**
+ * @method runCommand(command, options, config, operation, task)
+ * @desc executes a single shell command with the task options
+         > when the output is buffered, it is printed at once when the command exits, every line being prefixed
+         with the package name
+ * @param {String} command
+ * @param {Object} options
+ *  @prop {String} options.cwd
+ *  @prop {Object} options.env
+ *  @prop {Number} options.timeout
+ * @param {Object} config
+ * @param {String} operation
+ * @param {Object} task (the task the command belongs to, its output is emitted as taskOutput events)
+ * @return {Promise}
+ */
+function runCommand(command, options, config, operation, task) {
+  const pkg = config.pkg;
+  const scheduler = config.scheduler;
+  const buffered = scheduler.buffered;
+  const prefix = getOutputPrefix(config);
+  if (scheduler.aborted) {
+    return Promise.reject(new handlers.TaskAbortedError(command, pkg.name, operation));
+  }
   return new Promise((resolve, reject) => {
-    process.chdir(pkg.absolute);
-    console.log(`${colors.inverse('npm-git-hooks')} ${colors.blue.inverse('RUNNING')} ${colors.magenta(operation)} "${task}" in ${pkg.absolute}`);
-    shell.exec(task, {silent: false}, code => {
+    let output = '';
+    let settled = false;
+    let timer = null;
+    const settle = () => {
+      settled = true;
+      clearTimeout(timer);
+      scheduler.running.splice(scheduler.running.indexOf(abort), 1);
+      if (output) {
+        process.stdout.write(utils.prefixLines(output, prefix));
+      }
+    };
+    // The promise settles as soon as the command is killed, its own children may keep its output streams open
+    const abort = () => {
+      settle();
+      utils.killProcessGroup(child);
+      reject(new handlers.TaskAbortedError(command, pkg.name, operation));
+    };
+    console.log(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.blue.inverse('RUNNING')} ${colors.magenta(operation)} "${command}" in ${options.cwd}`);
+    const child = childProcess.spawn(command, {
+      shell: true,
+      cwd: options.cwd,
+      env: options.env,
+      detached: utils.DETACHED,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    child.on('error', e => {
+      if (settled) return;
+      settle();
+      console.error(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.red.inverse('ERROR')} ${colors.magenta(operation)} "${command}": ${e.message}`);
+      reject(new handlers.RunTaskError(command, pkg.name, operation, null));
+    });
+    child.on('close', code => {
+      if (settled) return;
+      settle();
       if (code === 0) {
-        console.log(`${colors.inverse('npm-git-hooks')} ${colors.green.inverse('SUCCESS')} ${colors.magenta(operation)} "${task}"\n`)
+        console.log(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.green.inverse('SUCCESS')} ${colors.magenta(operation)} "${command}"\n`)
         resolve(pkg);
       } else {
-        reject(new handlers.RunTaskError(task, pkg.name, operation))
+        reject(new handlers.RunTaskError(command, pkg.name, operation, code))
       }
     });
+    scheduler.running.push(abort);
+    if (options.timeout) {
+      timer = setTimeout(() => {
+        settle();
+        utils.killProcessGroup(child);
+        console.error(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.red.inverse('ERROR')} ${colors.magenta(operation)} "${command}" timed out after ${options.timeout} ms`);
+        reject(new handlers.RunTaskError(command, pkg.name, operation, null, options.timeout));
+      }, options.timeout);
+    }
+    ['stdout', 'stderr'].forEach(stream => child[stream].on('data', data => {
+      if (buffered) {
+        output += data;
+      } else {
+        process[stream].write(data);
+      }
+      config.emitter.emit('taskOutput', {project: pkg.name, task: task.name, command, stream, data: data.toString()});
+    }));
+  });
+}
+
+/**
+ * @method loadPlugin(plugin, pkg)
+ * @desc loads the function exported by a plugin module
+         > a path is relative to the package folder, a module name is looked up from it as node does, up to the
+         node_modules folder of the repository root where workspaces hoist their dependencies
+ * @param {String} plugin
+ * @param {Object} pkg
+ * @return {Function}
+ * @throws {Error} if the module cannot be loaded or does not export a function
+ */
+function loadPlugin(plugin, pkg) {
+  const isPath = plugin[0] === '.' || utils.resolve(plugin) === plugin;
+  const exported = require(isPath ? utils.resolve(pkg.absolute, plugin) : require.resolve(plugin, {paths: [pkg.absolute]}));
+  const fn = (typeof exported === 'function') ? exported : exported && exported.default;
+  if (typeof fn !== 'function') {
+    throw new Error(`Plugin ${plugin} does not export a function`);
+  }
+  return fn;
+}
+
+/**
+ * @method getPluginContext(task, config, operation, files)
+ * @desc builds the context object given to a plugin
+ * @param {Object} task
+ * @param {Object} config
+ * @param {String} operation
+ * @param {Array<String>|null} files
+ * @return {Object} context
+ *** @prop {String} context.operation (name of the hook)
+ *** @prop {Object} context.package (name, relative path from rootDir and absolute path of the package folder)
+ *** @prop {String} context.rootDir
+ *** @prop {Array<String>|null} context.files (the files matching the restrictions, relative paths from rootDir)
+ *** @prop {String} context.branch
+ *** @prop {String|null} context.commitMessage (for the hooks given a commit message file)
+ *** @prop {Array<String>} context.args (arguments given by git to the hook)
+ *** @prop {String} context.stdin (input given by git to the hook)
+ *** @prop {Object} context.options (the options of the task)
+ */
+function getPluginContext(task, config, operation, files) {
+  const hook = config.hook;
+  return {
+    operation,
+    package: {name: config.pkg.name, path: config.pkg.relative, absolute: config.pkg.absolute},
+    rootDir: git.getRootDir(),
+    files,
+    branch: git.getBranch(),
+    commitMessage: (MESSAGE_HOOKS.indexOf(operation) >= 0 && hook.args[0]) ? git.getCommitMessage(hook.args[0]) : null,
+    args: hook.args,
+    stdin: hook.stdin,
+    options: task.options,
+  };
+}
+
+/**
+ * @method runPlugin(task, config, operation, files)
+ * @desc runs a plugin or built-in check task, which fails if its function throws or returns a rejected promise
+         > a string returned by the function is printed
+ * @param {Object} task
+ * @param {Object} config
+ * @param {String} operation
+ * @param {Array<String>|null} files
+ * @return {Promise}
+ */
+function runPlugin(task, config, operation, files) {
+  const pkg = config.pkg;
+  const prefix = getOutputPrefix(config);
+  if (config.scheduler.aborted) {
+    return Promise.reject(new handlers.TaskAbortedError(task.name, pkg.name, operation));
+  }
+  const label = (task.check) ? `check "${task.check}"` : `plugin "${task.plugin}"`;
+  console.log(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.blue.inverse('RUNNING')} ${colors.magenta(operation)} ${label} in ${pkg.absolute}`);
+  const running = Promise.try(() => {
+    const fn = (task.check) ? checks.getCheck(task.check) : loadPlugin(task.plugin, pkg);
+    return fn(getPluginContext(task, config, operation, files));
+  });
+  return ((task.timeout) ? running.timeout(task.timeout) : running).then(value => {
+    if (typeof value === 'string' && value) {
+      process.stdout.write(utils.prefixLines(value, prefix));
+    }
+    console.log(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.green.inverse('SUCCESS')} ${colors.magenta(operation)} ${label}\n`);
+    return pkg;
+  }, e => {
+    if (e instanceof Promise.TimeoutError) {
+      console.error(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.red.inverse('ERROR')} ${colors.magenta(operation)} ${label} timed out after ${task.timeout} ms`);
+      throw new handlers.RunTaskError(task.name, pkg.name, operation, null, task.timeout);
+    }
+    console.error(`${prefix}${colors.inverse('npm-git-hooks')} ${colors.red.inverse('ERROR')} ${colors.magenta(operation)} ${label}: ${(e && e.message) || e}`);
+    throw new handlers.RunTaskError(task.name, pkg.name, operation, null);
   });
 }
 
 /**
  * @method runTasks(files, config, pkg)
  * @param {Object} config (the config object extracted from package.json)
- *  @prop {Array<String>} config[operation].tasks (list of commands to run)
+ *  @prop {Array<String|Object>} config[operation] (list of tasks to run)
  *  @prop {Object} config.pkg
  * @param {String} operation
  * @return {Promise}
  */
 function runTasks(config, operation) {
-  const tasks = config[operation] || [];
   if (operation === 'commit-msg') {
     return checkCommitMsg(config);
   }
-  if (tasks && tasks.length) {
-    return Promise.each(tasks, task => runTask(task, config.pkg, operation));
-  } else {
-    return Promise.resolve([]);
+  return Promise.try(() => {
+    if (operation === 'prepare-commit-msg') prepareCommitMsg(config);
+    if (operation === 'pre-push') checkPushedCommits(config);
+    const hook = config[operation];
+    const tasks = getTasks(config, operation).filter(task => {
+      if (!skip.isTaskSkipped(task)) return true;
+      console.log(`${getOutputPrefix(config)}${colors.inverse('npm-git-hooks')} ${colors.cyan.inverse('SKIP')} ${colors.magenta(operation)} "${task.name}" skipped by NPM_GIT_HOOKS_SKIP_TASKS in project ${config.pkg.name}`);
+      config.skippedTasks = (config.skippedTasks || 0) + 1;
+      config.emitter.emit('taskStart', {project: config.pkg.name, task: task.name, operation, files: null});
+      config.emitter.emit('taskEnd', addResult(config, task, 'skipped'));
+      return false;
+    });
+    // In collect mode, a failing task is reported and the next ones still run
+    const runOne = task => runTask(task, config, operation).catch(handlers.RunTaskError, e => {
+      if (config.failureMode !== 'collect') throw e;
+      handlers.errorCallback(e);
+    });
+    return (hook && hook.parallel)
+      ? Promise.all(tasks.map(runOne)).then(() => tasks)
+      : Promise.each(tasks, runOne);
+  });
+}
+
+/**
+ * @method protectWorkingTree()
+ * @desc stashes the unstaged changes and untracked files so that the pre-commit tasks only see the staged content
+         > the returned function restores them, after re-adding the staged files modified by the tasks if they
+         succeeded or discarding these modifications if they failed, and is called as well if the process exits
+         or is interrupted before
+ * @return {Function} restore(success)
+ */
+function protectWorkingTree() {
+  let staged;
+  try {
+    staged = git.getStagedFiles();
+  } catch (e) {
+    return () => {};
+  }
+  // git stash needs a commit, the changes made by the tasks cannot be told from the unstaged ones either
+  if (!git.hasHead()) {
+    console.log(`${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('INFO')} ${colors.magenta('pre-commit')} No commit yet, the unstaged changes are not stashed while the tasks run`);
+    return () => {};
   }
+  const patch = git.getUnstagedPatch();
+  // Stashing ends a merge in progress, its state is written back so that the commit still concludes it
+  const merge = git.getMergeState();
+  const sha = git.stashUnstaged();
+  git.restoreMergeState(merge);
+  if (sha) {
+    console.log(`${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('INFO')} ${colors.magenta('pre-commit')} Unstaged changes stashed while the tasks run`);
+  }
+  let restored = false;
+  const onExit = () => restore(false);
+  // The signal is raised again once the listeners are removed, so that the process ends as it would have
+  const onSignal = signal => {
+    restore(false);
+    process.kill(process.pid, signal);
+  };
+  function restore(success) {
+    if (restored) return;
+    restored = true;
+    process.removeListener('exit', onExit);
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+    if (success) {
+      const modified = git.getModifiedFiles(staged);
+      if (modified.length) {
+        console.log(`${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('INFO')} ${colors.magenta('pre-commit')} Files modified by the tasks added to the commit: ${modified.join(', ')}`);
+      }
+      git.addFiles(modified);
+    } else {
+      git.discardChanges();
+    }
+    if (sha && !git.restoreStash(sha, patch)) {
+      console.error(`${colors.inverse('npm-git-hooks')} ${colors.red.inverse('ERROR')} ${colors.magenta('pre-commit')} Could not restore the unstaged changes, they are kept in the stash ${sha}, run "git stash apply ${sha}" to restore them`);
+    }
+    git.restoreMergeState(merge);
+  }
+  process.on('exit', onExit);
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  return restore;
 }
 
 /**
- * @method run(repoPath, fileList)
- * @description entry point for all hook scripts
+ * @method printDryRun(configs, operation)
+ * @desc prints the files matched and the tasks that would run for every package, without running anything
+ * @param {Array<Object>} configs (the packages that were not skipped)
  * @param {String} operation
- * @param {Array<String>} fileList
- * @return {Promise}
  */
-function run(operation) {
-  const configs = findAllPackages()
-    .map(mapPackageConfig)
-    .filter(skipPackage)
-    .filter(config => fileMatch(config, operation));
-
+function printDryRun(configs, operation) {
   configs.forEach(config => {
-    runTasks(config, operation).then(tasks => {
+    const prefix = `${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('DRY-RUN')} ${colors.magenta(operation)}`;
+    console.log(`${prefix} Project ${config.pkg.name} (${config.pkg.relative})`);
+    try {
+      checkProtectedBranches(config, operation);
+    } catch (e) {
+      console.log(`  ${e.message}`);
+    }
+    if (config.files) {
+      console.log(`  Matched files: ${config.files.length ? config.files.join(', ') : 'none'}`);
+    }
+    if (config.affectedBy) {
+      console.log(`  Affected by the changes of ${config.affectedBy.join(', ')}`);
+    }
+    if (!fileMatch(config)) {
+      console.log('  No file matches the project restrictions, no task would run');
+      return;
+    }
+    if (operation === 'commit-msg') {
+      console.log(`  The commit message would be checked against ${JSON.stringify(config['commit-msg'] || null)}`);
+      return;
+    }
+    const tasks = getTasks(config, operation);
+    if (!tasks.length) {
+      console.log('  No tasks found');
+    }
+    tasks.forEach(task => {
+      const taskFiles = getTaskFiles(task, config.pkg, config.files);
+      if (skip.isTaskSkipped(task)) {
+        console.log(`  - "${task.name}" would be skipped by NPM_GIT_HOOKS_SKIP_TASKS`);
+      } else if (config.affectedBy && needsFiles(task)) {
+        console.log(`  - "${task.name}" would be skipped, no file of the project changed`);
+      } else if (taskFiles && !taskFiles.length) {
+        console.log(`  - "${task.name}" would be skipped, no file matches the task restrictions`);
+      } else if (task.command === null) {
+        console.log(`  - would run ${(task.check) ? `check "${task.check}"` : `plugin "${task.plugin}"`} with ${taskFiles ? `${taskFiles.length} file(s)` : 'no file list'}`);
+      } else {
+        const cwd = utils.resolve(config.pkg.absolute, task.cwd);
+        buildCommands(task.command, cwd, taskFiles).forEach(command => console.log(`  - would run "${command}" in ${cwd}`));
+      }
+    });
+  });
+}
+
+/**
+ * @method run(operation, options)
+ * @description entry point for all hook scripts, and for the tools running the hooks programmatically
+ * @param {String} operation (name of the hook)
+ * @param {Object} options
+ *  @prop {String} options.cwd (a folder of the repository to run the hook on, the one npm-git-hooks is installed in by default)
+ *  @prop {EventEmitter} options.emitter (emits packageSkipped, taskStart, taskOutput and taskEnd)
+ *  @prop {Array<String>} options.args (arguments given by git to the hook)
+ *  @prop {String} options.stdin (input given by git to the hook)
+ *  @prop {Boolean} options.dryRun (prints what would run instead of running it)
+ *  @prop {Array<String>} options.packages (names or relative paths of the packages to run the hook on)
+ *  @prop {Array<String>} options.files (files to use instead of the ones from git, relative paths from rootDir)
+ *  @prop {Number} options.concurrency (maximum number of tasks running at the same time)
+ *  @prop {String} options.failureMode (fail-fast or collect, overrides the failureMode of the packages)
+ *  @prop {Boolean} options.affected (only runs the hook on the packages owning the files and on their dependents)
+ *  @prop {Array<String>} options.reporters (reports to write as type:file, json or junit, NPM_GIT_HOOKS_REPORTERS by default)
+ * @return {Promise} report
+ *** @prop {String} report.operation
+ *** @prop {Number} report.code (exit code of the hook, 1 if anything failed)
+ *** @prop {Number} report.duration (in milliseconds)
+ *** @prop {Array<Object>} report.packages (the packages the hook ran on, with their matched files)
+ *** @prop {Array<Object>} report.results (the tasks with their status, duration, exit code and files)
+ *** @prop {Object} report.skipped (the names of the skipped packages, keyed by reason)
+ */
+function run(operation, options) {
+  options = options || {};
+  return Promise.try(() => {
+    const start = Date.now();
+    const reports = reporters.parse(options.reporters || process.env.NPM_GIT_HOOKS_REPORTERS);
+    git.setWorkingDir(options.cwd);
+    return runHook(operation, options, options.emitter || new EventEmitter()).then(report => {
+      report.duration = Date.now() - start;
+      if (!options.dryRun) {
+        reporters.write(report, reports, options.cwd || process.cwd());
+        history.record(report);
+      }
+      return report;
+    });
+  });
+}
+
+/**
+ * @method getPackageReport(config)
+ * @desc gets the package information of the run report
+ * @param {Object} config
+ * @return {Object}
+ */
+function getPackageReport(config) {
+  return {project: config.pkg.name, path: config.pkg.relative, files: config.files || null};
+}
+
+/**
+ * @method runHook(operation, options, emitter)
+ * @desc runs the hook on every package, see run
+ * @param {String} operation
+ * @param {Object} options
+ * @param {EventEmitter} emitter
+ * @return {Promise} report
+ */
+function runHook(operation, options, emitter) {
+  const hook = {
+    name: operation,
+    args: options.args || [],
+    stdin: options.stdin || '',
+    files: (options.files && options.files.length) ? options.files : null,
+  };
+  if (skip.isHookSkipped(operation)) {
+    console.log(`${colors.inverse('npm-git-hooks')} ${colors.cyan.inverse('SKIP')} ${colors.magenta(operation)} skipped by NPM_GIT_HOOKS_SKIP, moving on...`);
+    return Promise.resolve({operation, code: 0, packages: [], results: [], skipped: {}});
+  }
+  // The last argument of post-checkout is 0 when files are checked out instead of a branch
+  if (operation === 'post-checkout' && hook.args[2] === '0' && !hook.files) {
+    console.log(`${colors.inverse('npm-git-hooks')} ${colors.cyan.inverse('SKIP')} ${colors.magenta(operation)} files checked out, not a branch, moving on...`);
+    return Promise.resolve({operation, code: 0, packages: [], results: [], skipped: {}});
+  }
+  const branch = git.getBranch();
+  const selected = options.packages || [];
+  const allPackages = findAllPackages();
+  const discovered = allPackages
+    .filter(pkg => !selected.length || selected.indexOf(pkg.name) >= 0 || selected.indexOf(pkg.relative) >= 0);
+  if (options.dryRun) {
+    console.log(`${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('DRY-RUN')} ${colors.magenta(operation)} Found ${discovered.length} project(s) on branch ${branch}: ` +
+      discovered.map(pkg => `${pkg.name} (${pkg.relative})`).join(', '));
+  }
+  const missing = [];
+  const loaded = loadConfigs(discovered, missing)
+    .map(config => mapBranchConfig(config, branch))
+    .filter(config => isConfigured(config, operation));
+  // Every hook is installed, those no package uses end quietly
+  if (!loaded.length) {
+    if (options.dryRun) {
+      console.log(`${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('DRY-RUN')} ${colors.magenta(operation)} No project configures this hook, nothing would run`);
+    }
+    return Promise.resolve({operation, code: 0, packages: [], results: [], skipped: {}});
+  }
+  missing.forEach(e => console.log(e.message));
+  const packages = skipPackages(loaded.map(config => Object.assign(config, {hook, emitter})), emitter);
+  const enabledConfigs = packages.configs;
+  const skipped = packages.skipped;
+  // Listed once for all the packages, as it can take several git commands
+  const hookFiles = (enabledConfigs.length) ? getHookFiles(hook, operation) : null;
+  let matchedConfigs = enabledConfigs.map(config => mapMatchedFiles(config, hookFiles));
+  if (options.affected || enabledConfigs.some(config => config.affected === true)) {
+    matchedConfigs = selectAffectedPackages(matchedConfigs, hookFiles, operation, allPackages, Boolean(options.affected));
+  }
+
+  if (options.dryRun) {
+    printDryRun(matchedConfigs, operation);
+    return Promise.resolve({operation, code: 0, packages: [], results: [], skipped});
+  }
+
+  let checked = null;
+  try {
+    enabledConfigs.forEach(config => {
+      checked = config;
+      checkProtectedBranches(config, operation);
+    });
+  } catch (e) {
+    handlers.errorCallback(e);
+    const results = [{project: e.project, path: checked.pkg.relative, task: operation, status: 'failed', duration: 0, code: null}];
+    return Promise.resolve({operation, code: 1, packages: enabledConfigs.map(getPackageReport), results, skipped});
+  }
+
+  const configs = matchedConfigs
+    .filter(config => {
+      if (fileMatch(config)) return true;
+      const reason = 'No file matches the project restrictions';
+      skipped[reason] = (skipped[reason] || []).concat(config.pkg.name);
+      emitter.emit('packageSkipped', {project: config.pkg.name, reason});
+      return false;
+    });
+  if (CHANGE_HOOKS.indexOf(operation) >= 0 && !hook.files) {
+    configs.filter(config => config.files).forEach(config => printChangedFiles(config, operation));
+  }
+
+  const concurrency = options.concurrency || Number(process.env.NPM_GIT_HOOKS_CONCURRENCY) || os.cpus().length;
+  const scheduler = {
+    limit: utils.createLimiter(concurrency),
+    // The output of parallel tasks is buffered so that it does not interleave
+    buffered: concurrency > 1 &&
+      (configs.length > 1 || configs.some(config => Boolean(config[operation] && config[operation].parallel))),
+    aborted: false,
+    running: [],
+    results: [],
+  };
+  configs.forEach(config => Object.assign(config, {
+    scheduler,
+    failureMode: options.failureMode || config.failureMode || 'fail-fast',
+  }));
+
+  const stash = operation === 'pre-commit' && configs.some(config => Boolean(config['pre-commit'] && config['pre-commit'].stash));
+  const restore = (stash) ? protectWorkingTree() : () => {};
+  // Prepended to the listeners of the stash, so that the tasks are killed before the unstaged changes are restored
+  const release = abortOnSignal(scheduler);
+
+  return Promise.all(configs.map(config => {
+    return runTasks(config, operation).then(tasks => {
+      if (isFailed(scheduler.results, config.pkg)) return;
       handlers.successCallback(config.pkg, operation, tasks);
-    }).catch(handlers.errorCallback);
+    }).catch(handlers.TaskAbortedError, () => {}).catch(e => {
+      if (!handlers.errorCallback(e)) return;
+      // Failures of the commit message, pushed commits or config checks are not the result of a task
+      if (!(e instanceof handlers.RunTaskError)) addResult(config, operation, 'failed');
+      if (config.failureMode !== 'collect') abortRun(scheduler);
+    });
+  })).then(() => {
+    release();
+    const code = (scheduler.results.some(result => result.status === 'failed')) ? 1 : 0;
+    restore(code === 0);
+    if (configs.some(config => config.failureMode === 'collect')) {
+      handlers.resultsCallback(operation, scheduler.results);
+    }
+    handlers.summaryCallback(operation, {
+      packages: configs.length,
+      skipped,
+      skippedTasks: configs.reduce((total, config) => total + (config.skippedTasks || 0), 0),
+    });
+    return {operation, code, packages: configs.map(getPackageReport), results: scheduler.results, skipped};
   });
 }
+
+/**
+ * @method isFailed(results, pkg)
+ * @desc checks whether a task of a package failed
+         > results are matched by path, as packages in different folders can have the same name
+ * @param {Array<Object>} results
+ * @param {Object} pkg
+ * @return {Boolean}
+ */
+function isFailed(results, pkg) {
+  return results.some(result => result.path === pkg.relative && result.status === 'failed');
+}
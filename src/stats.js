@@ -0,0 +1,133 @@
+'use strict';
+
+const colors = require('colors');
+
+const history = require('../lib/history');
+
+// Number of tasks listed as the slowest ones
+const SLOWEST_TASKS = 10;
+
+module.exports = {aggregate, report};
+
+/**
+ * @method percentile(durations, rank)
+ * @desc gets a percentile of a list of durations, with the nearest rank method
+ * @param {Array<Number>} durations
+ * @param {Number} rank (between 0 and 100)
+ * @return {Number}
+ */
+function percentile(durations, rank) {
+  if (!durations.length) return 0;
+  const sorted = durations.slice().sort((a, b) => a - b);
+  return sorted[Math.max(Math.ceil(rank / 100 * sorted.length) - 1, 0)];
+}
+
+/**
+ * @method summarize(runs, isFailure)
+ * @desc computes the number of runs, the failure rate and the p50/p95 durations of a list of runs
+ * @param {Array<Object>} runs (objects with a duration)
+ * @param {Function} isFailure
+ * @return {Object}
+ */
+function summarize(runs, isFailure) {
+  const durations = runs.map(run => run.duration || 0);
+  return {
+    runs: runs.length,
+    failures: runs.filter(isFailure).length,
+    failureRate: (runs.length) ? runs.filter(isFailure).length / runs.length : 0,
+    p50: percentile(durations, 50),
+    p95: percentile(durations, 95),
+  };
+}
+
+/**
+ * @method aggregate(entries, hook)
+ * @desc aggregates the recorded hook runs per hook and per task
+ * @param {Array<Object>} entries (the history entries)
+ * @param {String} hook (only aggregates the runs of this hook if given)
+ * @return {Object} stats
+ *** @prop {Array<Object>} stats.hooks (runs, skipped runs, failure rate and p50/p95 durations of every hook)
+ *** @prop {Array<Object>} stats.tasks (the same figures for every task, the slowest first)
+ */
+function aggregate(entries, hook) {
+  entries = entries.filter(entry => !hook || entry.hook === hook);
+  const byHook = {};
+  const byTask = {};
+  entries.forEach(entry => {
+    byHook[entry.hook] = (byHook[entry.hook] || []).concat(entry);
+    if (entry.skipped) return;
+    // The durations of the tasks that did not run would lower the figures
+    (entry.tasks || []).filter(task => ['skipped', 'aborted', 'cached'].indexOf(task.status) < 0).forEach(task => {
+      // Projects are told apart by path, the entries recorded before it was kept only have the name
+      const key = `${entry.hook}\n${(task.path === undefined) ? task.project : task.path}\n${task.task}`;
+      byTask[key] = (byTask[key] || []).concat(task);
+    });
+  });
+  return {
+    hooks: Object.keys(byHook).sort().map(name => {
+      const ran = byHook[name].filter(entry => !entry.skipped);
+      return Object.assign({hook: name, skipped: byHook[name].length - ran.length}, summarize(ran, entry => entry.code !== 0));
+    }),
+    tasks: Object.keys(byTask).map(key => {
+      const parts = key.split('\n');
+      return Object.assign({hook: parts[0], project: byTask[key][0].project, task: parts[2]},
+        summarize(byTask[key], task => task.status === 'failed' || task.status === 'allowed failure'));
+    }).sort((a, b) => b.p50 - a.p50 || b.p95 - a.p95),
+  };
+}
+
+/**
+ * @method printTable(rows)
+ * @desc prints rows of cells as aligned columns, the first row being the header
+ * @param {Array<Array<String>>} rows
+ */
+function printTable(rows) {
+  const widths = rows[0].map((header, i) => Math.max.apply(null, rows.map(row => row[i].length)));
+  rows.forEach((row, index) => {
+    const line = row.map((cell, i) => cell + ' '.repeat(widths[i] - cell.length)).join('  ').replace(/ +$/, '');
+    console.log(`  ${(index === 0) ? colors.bold(line) : line}`);
+  });
+}
+
+/**
+ * @method formatDuration(duration)
+ * @param {Number} duration (in milliseconds)
+ * @return {String}
+ */
+function formatDuration(duration) {
+  return `${(duration / 1000).toFixed(2)}s`;
+}
+
+/**
+ * @method formatRate(rate)
+ * @param {Number} rate (between 0 and 1)
+ * @return {String}
+ */
+function formatRate(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * @method report(hook)
+ * @desc prints the stats of the recorded hook runs
+ * @param {String} hook (only prints the stats of this hook if given)
+ * @return {Number} exit code
+ */
+function report(hook) {
+  const stats = aggregate(history.read(), hook);
+  if (!stats.hooks.length) {
+    console.log(`${colors.inverse('npm-git-hooks')} ${colors.yellow.inverse('INFO')} No hook run recorded${hook ? ` for ${hook}` : ''} in ${history.getHistoryPath()}`);
+    return 0;
+  }
+  console.log(`${colors.inverse('npm-git-hooks')} ${colors.inverse('STATS')} Hooks`);
+  printTable([['HOOK', 'RUNS', 'SKIPPED', 'FAILURE RATE', 'P50', 'P95']].concat(stats.hooks.map(item => [
+    item.hook, String(item.runs), String(item.skipped), formatRate(item.failureRate), formatDuration(item.p50), formatDuration(item.p95),
+  ])));
+  if (stats.tasks.length) {
+    console.log(`\n${colors.inverse('npm-git-hooks')} ${colors.inverse('STATS')} Slowest tasks`);
+    printTable([['HOOK', 'PROJECT', 'TASK', 'RUNS', 'FAILURE RATE', 'P50', 'P95']].concat(stats.tasks.slice(0, SLOWEST_TASKS).map(item => [
+      item.hook, item.project, item.task, String(item.runs), formatRate(item.failureRate), formatDuration(item.p50), formatDuration(item.p95),
+    ])));
+  }
+  return 0;
+}
@@ -0,0 +1,55 @@
+'use strict';
+
+const git = require('../lib/git');
+const utils = require('../lib/utils');
+const hooks = require('../lib/hooks');
+
+module.exports = {uninstall};
+
+/**
+ * @method uninstallHook(gitHooksDir, name)
+ * @desc removes one of our hooks from .git/hooks directory and restores the hook it replaced, if any
+ * @param {String} gitHooksDir
+ * @param {String} name (name of the hook)
+ */
+function uninstallHook(gitHooksDir, name) {
+  const hookFile = utils.resolve(gitHooksDir, name);
+  const backupFile = hooks.getBackupPath(hookFile);
+  if (!hooks.isOwnHook(hookFile)) return;
+
+  console.log(`npm-git-hooks: INFO: Removing '${name}' git hook...`);
+  utils.remove(hookFile);
+  if (utils.isAFile(backupFile)) {
+    console.log(`npm-git-hooks: INFO: Restoring previous '${name}' git hook`);
+    utils.rename(backupFile, hookFile);
+  }
+}
+
+/**
+ * @method uninstall()
+ * @desc removes our hooks from .git/hooks directory and restores the hooks they replaced
+         > run by the preuninstall script, which npm 7 and later no longer run, and by npm-git-hooks uninstall
+ * @return {Number} exit code
+ */
+function uninstall() {
+  let gitHooksDir;
+  try {
+    gitHooksDir = git.getHooksDir();
+  } catch (e) {
+    console.error(e.message);
+    // Nothing to uninstall if there is no git repository and/or no .git/hooks folder
+    return 0;
+  }
+  try {
+    hooks.HOOKS.forEach(name => uninstallHook(gitHooksDir, name));
+  } catch (e) {
+    console.error(e.message);
+    console.error(e.stack);
+    return 1;
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exit(uninstall());
+}